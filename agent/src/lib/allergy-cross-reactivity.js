@@ -0,0 +1,295 @@
+// Allergy Cross-Reactivity - Drug-class allergy knowledge base
+// A recorded allergen (a class such as "Sulfa", a drug such as "Amoxicillin", or a brand such as
+// "Bactrim") is resolved to drug classes and matched against a medication in three ways:
+//   direct          the medication is the recorded allergen
+//   class           the medication belongs to the same class as the allergen
+//   cross-reactive  the medication belongs to a class listed in CROSS_REACTIVITY
+// Every match carries a cross-sensitivity level ('high', 'moderate', 'low') and an explanation.
+
+import { toGenericName, withGenericName, sameMedication } from './medication-names.js';
+
+export const CROSS_SENSITIVITY_ORDER = ['high', 'moderate', 'low'];
+
+// aliases: allergen terms that mean the whole class; members: generic names; brands: brand -> generic
+export const ALLERGY_CLASSES = {
+    'penicillin': {
+        label: 'penicillins',
+        aliases: ['penicillin', 'penicillins', 'pcn'],
+        members: ['penicillin', 'amoxicillin', 'ampicillin', 'piperacillin', 'nafcillin', 'oxacillin', 'dicloxacillin'],
+        brands: { 'amoxil': 'amoxicillin', 'augmentin': 'amoxicillin', 'unasyn': 'ampicillin', 'zosyn': 'piperacillin' }
+    },
+    'cephalosporin-first-generation': {
+        label: 'first-generation cephalosporins',
+        aliases: ['cephalosporin', 'cephalosporins'],
+        members: ['cephalexin', 'cefazolin', 'cefadroxil', 'cephalothin'],
+        brands: { 'keflex': 'cephalexin', 'ancef': 'cefazolin', 'duricef': 'cefadroxil' }
+    },
+    'cephalosporin': {
+        label: 'cephalosporins (second generation and later)',
+        aliases: ['cephalosporin', 'cephalosporins'],
+        members: ['cefuroxime', 'cefprozil', 'cefaclor', 'cefoxitin', 'ceftriaxone', 'cefdinir', 'cefpodoxime', 'cefotaxime', 'ceftazidime', 'cefixime', 'cefepime', 'ceftaroline'],
+        brands: { 'ceftin': 'cefuroxime', 'rocephin': 'ceftriaxone', 'omnicef': 'cefdinir', 'fortaz': 'ceftazidime', 'maxipime': 'cefepime' }
+    },
+    'carbapenem': {
+        label: 'carbapenems',
+        aliases: ['carbapenem', 'carbapenems'],
+        members: ['imipenem', 'meropenem', 'ertapenem', 'doripenem'],
+        brands: { 'primaxin': 'imipenem', 'merrem': 'meropenem', 'invanz': 'ertapenem' }
+    },
+    'sulfonamide-antibiotic': {
+        label: 'sulfonamide antibiotics',
+        aliases: ['sulfa', 'sulfa drugs', 'sulpha', 'sulfonamide', 'sulfonamides'],
+        members: ['sulfamethoxazole', 'sulfadiazine', 'sulfisoxazole', 'sulfacetamide', 'sulfasalazine', 'silver sulfadiazine'],
+        brands: { 'bactrim': 'sulfamethoxazole', 'septra': 'sulfamethoxazole', 'azulfidine': 'sulfasalazine', 'silvadene': 'silver sulfadiazine' }
+    },
+    'sulfonamide-nonantibiotic': {
+        label: 'non-antibiotic sulfonamides',
+        aliases: [],
+        members: ['furosemide', 'bumetanide', 'torsemide', 'hydrochlorothiazide', 'chlorthalidone', 'indapamide', 'acetazolamide', 'celecoxib', 'glipizide', 'glyburide', 'glimepiride', 'sumatriptan', 'topiramate'],
+        brands: { 'lasix': 'furosemide', 'bumex': 'bumetanide', 'diamox': 'acetazolamide', 'glucotrol': 'glipizide', 'imitrex': 'sumatriptan', 'topamax': 'topiramate' }
+    },
+    'nsaid': {
+        label: 'NSAIDs',
+        aliases: ['nsaid', 'nsaids', 'non-steroidal anti-inflammatory', 'non-steroidal anti-inflammatory drugs'],
+        members: ['aspirin', 'ibuprofen', 'naproxen', 'diclofenac', 'ketorolac', 'indomethacin', 'meloxicam', 'etodolac', 'piroxicam', 'ketoprofen'],
+        brands: { 'advil': 'ibuprofen', 'motrin': 'ibuprofen', 'aleve': 'naproxen', 'naprosyn': 'naproxen', 'voltaren': 'diclofenac', 'toradol': 'ketorolac', 'mobic': 'meloxicam', 'bayer': 'aspirin', 'ecotrin': 'aspirin' }
+    },
+    'cox2-inhibitor': {
+        label: 'COX-2 selective inhibitors',
+        aliases: ['cox-2 inhibitor', 'cox-2 inhibitors'],
+        members: ['celecoxib', 'etoricoxib'],
+        brands: { 'celebrex': 'celecoxib' }
+    },
+    'opioid-phenanthrene': {
+        label: 'phenanthrene opioids',
+        aliases: ['opiate', 'opiates', 'opioid', 'opioids'],
+        members: ['codeine', 'morphine', 'hydrocodone', 'oxycodone', 'hydromorphone', 'oxymorphone'],
+        brands: { 'vicodin': 'hydrocodone', 'norco': 'hydrocodone', 'percocet': 'oxycodone', 'oxycontin': 'oxycodone', 'dilaudid': 'hydromorphone', 'ms contin': 'morphine' }
+    },
+    'opioid-synthetic': {
+        label: 'synthetic opioids',
+        aliases: [],
+        members: ['fentanyl', 'meperidine', 'methadone', 'tramadol', 'tapentadol'],
+        brands: { 'duragesic': 'fentanyl', 'demerol': 'meperidine', 'ultram': 'tramadol', 'nucynta': 'tapentadol' }
+    },
+    'fluoroquinolone': {
+        label: 'fluoroquinolones',
+        aliases: ['quinolone', 'quinolones', 'fluoroquinolone', 'fluoroquinolones'],
+        members: ['ciprofloxacin', 'levofloxacin', 'moxifloxacin', 'ofloxacin'],
+        brands: { 'cipro': 'ciprofloxacin', 'levaquin': 'levofloxacin', 'avelox': 'moxifloxacin' }
+    },
+    'macrolide': {
+        label: 'macrolides',
+        aliases: ['macrolide', 'macrolides'],
+        members: ['erythromycin', 'azithromycin', 'clarithromycin'],
+        brands: { 'zithromax': 'azithromycin', 'z-pak': 'azithromycin', 'biaxin': 'clarithromycin' }
+    },
+    'tetracycline': {
+        label: 'tetracyclines',
+        aliases: ['tetracyclines'],
+        members: ['tetracycline', 'doxycycline', 'minocycline'],
+        brands: { 'vibramycin': 'doxycycline', 'minocin': 'minocycline' }
+    },
+    'ace-inhibitor': {
+        label: 'ACE inhibitors',
+        aliases: ['ace inhibitor', 'ace inhibitors', 'ace-i'],
+        members: ['lisinopril', 'enalapril', 'ramipril', 'captopril', 'benazepril', 'quinapril', 'perindopril', 'fosinopril'],
+        brands: { 'zestril': 'lisinopril', 'prinivil': 'lisinopril', 'vasotec': 'enalapril', 'altace': 'ramipril' }
+    },
+    'arb': {
+        label: 'angiotensin receptor blockers',
+        aliases: ['arb', 'arbs', 'angiotensin receptor blocker', 'angiotensin receptor blockers'],
+        members: ['losartan', 'valsartan', 'irbesartan', 'candesartan', 'olmesartan', 'telmisartan'],
+        brands: { 'cozaar': 'losartan', 'diovan': 'valsartan', 'benicar': 'olmesartan' }
+    },
+    'aromatic-anticonvulsant': {
+        label: 'aromatic anticonvulsants',
+        aliases: ['aromatic anticonvulsant', 'aromatic anticonvulsants'],
+        members: ['carbamazepine', 'oxcarbazepine', 'phenytoin', 'fosphenytoin', 'phenobarbital', 'lamotrigine'],
+        brands: { 'tegretol': 'carbamazepine', 'trileptal': 'oxcarbazepine', 'dilantin': 'phenytoin', 'lamictal': 'lamotrigine' }
+    }
+};
+
+// Cross-sensitivity between different classes (applies in both directions)
+export const CROSS_REACTIVITY = [
+    {
+        between: ['penicillin', 'cephalosporin-first-generation'],
+        level: 'moderate',
+        explanation: 'First-generation cephalosporins share the beta-lactam ring and, for cephalexin and cefadroxil, an R1 side chain similar to amoxicillin and ampicillin; cross-reactivity is reported in up to about 2% of penicillin-allergic patients.'
+    },
+    {
+        between: ['penicillin', 'cephalosporin'],
+        level: 'low',
+        explanation: 'Later-generation cephalosporins share the beta-lactam ring but have dissimilar side chains; cross-reactivity with penicillins is under 1%.'
+    },
+    {
+        between: ['penicillin', 'carbapenem'],
+        level: 'low',
+        explanation: 'Carbapenems share the beta-lactam ring; cross-reactivity with penicillins is under 1%.'
+    },
+    {
+        between: ['cephalosporin-first-generation', 'cephalosporin'],
+        level: 'moderate',
+        explanation: 'Cephalosporins share the beta-lactam and dihydrothiazine rings; reactions across generations are uncommon but occur, mainly with shared side chains.'
+    },
+    {
+        between: ['sulfonamide-antibiotic', 'sulfonamide-nonantibiotic'],
+        level: 'low',
+        explanation: 'Non-antibiotic sulfonamides lack the arylamine group responsible for most sulfa antibiotic reactions; cross-reactivity is unlikely but has been reported.'
+    },
+    {
+        between: ['nsaid', 'cox2-inhibitor'],
+        level: 'low',
+        explanation: 'COX-2 selective inhibitors are usually tolerated by patients with NSAID (COX-1) hypersensitivity, but reactions are possible.'
+    },
+    {
+        between: ['opioid-phenanthrene', 'opioid-synthetic'],
+        level: 'low',
+        explanation: 'Synthetic opioids are structurally distinct from morphine-type (phenanthrene) opioids; true cross-allergy is uncommon, and many "opioid allergies" are histamine release.'
+    },
+    {
+        between: ['ace-inhibitor', 'arb'],
+        level: 'low',
+        explanation: 'Angioedema with an ACE inhibitor recurs with angiotensin receptor blockers in a small minority of patients.'
+    }
+];
+
+function normalizeName(name) {
+    return String(name || '').toLowerCase().trim();
+}
+
+// Whole-word (or whole-phrase) match of term in text
+function containsTerm(text, term) {
+    const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^a-z0-9])${escaped}($|[^a-z0-9])`).test(text);
+}
+
+// Resolve a medication or allergen name to { drugs: generic names, classes: class ids, classTerms: class ids named as a class }
+export function resolveDrugClasses(name) {
+    const text = withGenericName(name);
+    const drugs = new Set();
+    const classes = new Set();
+    const classTerms = new Set();
+
+    Object.entries(ALLERGY_CLASSES).forEach(([classId, drugClass]) => {
+        drugClass.members.filter(member => containsTerm(text, member)).forEach(member => {
+            drugs.add(member);
+            classes.add(classId);
+        });
+        Object.entries(drugClass.brands).filter(([brand]) => containsTerm(text, brand)).forEach(([, generic]) => {
+            drugs.add(generic);
+            classes.add(classId);
+        });
+        if (drugClass.aliases.some(alias => containsTerm(text, alias))) {
+            classes.add(classId);
+            classTerms.add(classId);
+        }
+    });
+
+    // "Penicillin" is both a class name and a drug; the class meaning wins
+    classTerms.forEach(classId => ALLERGY_CLASSES[classId].members.forEach(member => {
+        if (ALLERGY_CLASSES[classId].aliases.includes(member)) drugs.delete(member);
+    }));
+
+    return { drugs: [...drugs], classes: [...classes], classTerms: [...classTerms] };
+}
+
+function crossReactivity(classA, classB) {
+    return CROSS_REACTIVITY.find(entry =>
+        (entry.between[0] === classA && entry.between[1] === classB) ||
+        (entry.between[0] === classB && entry.between[1] === classA)
+    );
+}
+
+// Strongest match between a medication and one recorded allergy, or null
+function matchAllergy(medicationName, medication, allergy) {
+    const allergen = allergy.allergen;
+    const resolved = resolveDrugClasses(allergen);
+    const base = {
+        allergen: allergen,
+        reaction: allergy.reaction,
+        severity: allergy.severity,
+        medication: medicationName
+    };
+
+    // Direct: same drug, or the allergen named verbatim in the medication name
+    // (by any brand or regional name)
+    const sameDrug = medication.drugs.find(drug => resolved.drugs.includes(drug))
+        || (sameMedication(medicationName, allergen) && toGenericName(medicationName));
+    if (sameDrug || containsTerm(normalizeName(medicationName), normalizeName(allergen))) {
+        return {
+            ...base,
+            match: 'direct',
+            crossSensitivity: 'high',
+            explanation: sameDrug && normalizeName(medicationName) !== sameDrug
+                ? `${medicationName} contains ${sameDrug}, the recorded allergen (${allergen}).`
+                : `${medicationName} is the recorded allergen (${allergen}).`
+        };
+    }
+
+    // Same class
+    const sharedClass = medication.classes.find(classId => resolved.classes.includes(classId));
+    if (sharedClass) {
+        const label = ALLERGY_CLASSES[sharedClass].label;
+        return {
+            ...base,
+            match: 'class',
+            crossSensitivity: 'high',
+            drugClass: label,
+            explanation: resolved.classTerms.includes(sharedClass)
+                ? `${medicationName} is one of the ${label}, and the patient is allergic to ${allergen}.`
+                : `${medicationName} and ${allergen} are both ${label}; an allergy to one member usually extends to the class.`
+        };
+    }
+
+    // Related class
+    const crossMatches = [];
+    medication.classes.forEach(medicationClass => resolved.classes.forEach(allergenClass => {
+        const entry = crossReactivity(medicationClass, allergenClass);
+        if (entry) crossMatches.push({ entry, medicationClass, allergenClass });
+    }));
+    crossMatches.sort((a, b) => CROSS_SENSITIVITY_ORDER.indexOf(a.entry.level) - CROSS_SENSITIVITY_ORDER.indexOf(b.entry.level));
+
+    if (crossMatches.length > 0) {
+        const { entry, medicationClass, allergenClass } = crossMatches[0];
+        return {
+            ...base,
+            match: 'cross-reactive',
+            crossSensitivity: entry.level,
+            drugClass: ALLERGY_CLASSES[medicationClass].label,
+            explanation: `${medicationName} is one of the ${ALLERGY_CLASSES[medicationClass].label}, which can cross-react with ${ALLERGY_CLASSES[allergenClass].label} (${allergen}): ${entry.explanation}`
+        };
+    }
+
+    return null;
+}
+
+// Every recorded allergy a medication matches, strongest cross-sensitivity first:
+// [{ allergen, reaction, severity, medication, match, crossSensitivity, drugClass?, explanation }]
+export function findAllergyMatches(medicationName, allergies) {
+    const medication = resolveDrugClasses(medicationName);
+
+    return allergies
+        .map(allergy => matchAllergy(medicationName, medication, allergy))
+        .filter(Boolean)
+        .sort((a, b) => CROSS_SENSITIVITY_ORDER.indexOf(a.crossSensitivity) - CROSS_SENSITIVITY_ORDER.indexOf(b.crossSensitivity));
+}
+
+// Structured warning for an allergy match, as returned in `warnings` by MedicalDataManager
+export function toAllergyWarning(match) {
+    const prefix = match.crossSensitivity === 'high'
+        ? 'ALLERGY WARNING'
+        : `POSSIBLE CROSS-REACTIVITY (${match.crossSensitivity})`;
+
+    return {
+        type: 'allergy',
+        severity: match.severity,
+        allergen: match.allergen,
+        reaction: match.reaction,
+        medication: match.medication,
+        match: match.match,
+        crossSensitivity: match.crossSensitivity,
+        explanation: match.explanation,
+        message: `${prefix}: ${match.explanation}`
+    };
+}
@@ -0,0 +1,50 @@
+// Approval Policy - Which chart-changing tools need clinician approval before they run
+// Policy per write tool: 'confirm' (clinician review, the default) or 'auto'. The chat sets it with
+// /confirm; MedicalMCPServer.executeTool enforces it for every caller, so no path to the chart skips
+// the approval step.
+
+const STORAGE_KEY = 'tool_confirmation_policy';
+
+// Approval decisions that let a chart change run (auditContext.approval)
+export const APPROVED = ['approved', 'edited'];
+
+export function loadApprovalPolicy() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (error) {
+        console.warn('Could not load tool confirmation policy:', error);
+        return {};
+    }
+}
+
+export function saveApprovalPolicy(policy) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(policy));
+}
+
+// Approval fields of a caller's audit context ({ approval, approvedBy }), as MedicalMCPServer records them.
+// Only the chat's approval card, on the 'agent' channel in this window, decides approval itself; it is
+// recorded under the clinician using the chat. Every other caller approves a change by naming the clinician
+// who approved it in approvedBy. A caller can never mark its own call approved.
+export function callerApproval(audit = {}, channel) {
+    if (channel === 'agent') {
+        if (!audit.approval) return {};
+        return APPROVED.includes(audit.approval)
+            ? { approval: audit.approval, approvedBy: audit.requestedBy || 'clinician' }
+            : { approval: audit.approval };
+    }
+
+    const approvedBy = typeof audit.approvedBy === 'string' ? audit.approvedBy.trim() : '';
+    return approvedBy ? { approval: 'approved', approvedBy } : {};
+}
+
+// Does a call to this tool need the clinician's approval? tool is a registry entry ({ name, readOnly });
+// read-only tools never change the chart and never need it
+export function requiresApproval(tool, policy = loadApprovalPolicy()) {
+    if (tool.readOnly) {
+        return false;
+    }
+    if (policy[tool.name]) {
+        return policy[tool.name] === 'confirm';
+    }
+    return true;
+}
@@ -0,0 +1,251 @@
+// Audit Log - Append-only, hash-chained record of every tool call
+// Each entry stores the SHA-256 hash of the previous entry, so editing or removing
+// an entry breaks the chain and is detected by verify().
+// The chain alone only detects accidental corruption: whoever can write the log's storage
+// (localStorage) can rewrite and re-hash every entry. To keep the log and detect tampering, give
+// it an anchor, storage outside this browser (e.g. a RestStorageAdapter on the EHR). Every append
+// saves the entries and the hash of the newest entry there, and verify() checks that hash.
+// An entry that could not be saved makes append() reject (see executeTool).
+
+import { RestStorageAdapter } from './storage-adapters.js';
+
+// previousHash of the first entry
+const GENESIS_HASH = '0'.repeat(64);
+
+// JSON with sorted object keys, so the same entry always hashes the same way
+function canonicalJSON(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(item => canonicalJSON(item === undefined ? null : item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const fields = Object.keys(value)
+            .filter(key => value[key] !== undefined)
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`);
+        return `{${fields.join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+async function sha256(text) {
+    if (!globalThis.crypto?.subtle) {
+        throw new Error('Web Crypto is not available (the audit log needs a secure context)');
+    }
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest))
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+export class AuditLog {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'audit_log';
+        this.entries = [];
+
+        // Storage adapter holding a copy of the entries (under storageKey) and { sequence, hash } of
+        // the newest entry (under anchorKey), or null (see setAnchor)
+        this.anchor = options.anchor || null;
+        this.anchorKey = `${this.storageKey}_head`;
+        this.anchorLoadError = null;
+
+        this.loadFromStorage();
+
+        // Appends are chained on this promise so concurrent tool calls keep a single ordered chain
+        this.pending = this.loadFromAnchor();
+    }
+
+    loadFromStorage() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            if (stored) {
+                this.entries = JSON.parse(stored).map(entry => Object.freeze(entry));
+            }
+        } catch (error) {
+            console.warn('Could not load audit log from storage:', error);
+        }
+    }
+
+    saveToStorage() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.entries));
+    }
+
+    // The anchor's copy wins when it holds more entries, e.g. after this browser's storage was cleared
+    async loadFromAnchor() {
+        if (!this.anchor) return;
+        try {
+            const stored = await this.anchor.load(this.storageKey);
+            this.anchorLoadError = null;
+            if (Array.isArray(stored) && stored.length > this.entries.length) {
+                this.entries = stored.map(entry => Object.freeze(entry));
+                this.saveToStorage();
+            }
+        } catch (error) {
+            this.anchorLoadError = error;
+            console.warn('Could not load the audit log from its anchor:', error);
+        }
+    }
+
+    // Append an entry ({ tool, parameters, result, requestedBy, prompt, provider, model, ... })
+    // and resolve with the stored entry including its sequence number and hash. Rejects if the entry
+    // could not be saved to localStorage or to the anchor; error.entry is then the entry kept in memory.
+    append(record) {
+        const appended = this.pending.then(async () => {
+            const previous = this.entries[this.entries.length - 1];
+            const entry = {
+                ...record,
+                sequence: previous ? previous.sequence + 1 : 1,
+                timestamp: record.timestamp || new Date().toISOString(),
+                previousHash: previous ? previous.hash : GENESIS_HASH
+            };
+            entry.hash = await sha256(canonicalJSON(entry));
+
+            this.entries.push(Object.freeze(entry));
+
+            const failures = [];
+            try {
+                this.saveToStorage();
+            } catch (error) {
+                failures.push(`local storage: ${error.message}`);
+            }
+            try {
+                await this.saveToAnchor(entry);
+            } catch (error) {
+                failures.push(`anchor: ${error.message}`);
+            }
+            if (failures.length > 0) {
+                const error = new Error(`Audit entry ${entry.sequence} was not saved (${failures.join('; ')})`);
+                error.entry = entry;
+                throw error;
+            }
+            return entry;
+        });
+
+        // Keep the chain usable after a failed append
+        this.pending = appended.catch(() => {});
+        return appended;
+    }
+
+    getEntries() {
+        return [...this.entries];
+    }
+
+    // Keep the log and its newest entry's hash in storage outside the browser (e.g. a RestStorageAdapter),
+    // so the entries survive and a rewritten or truncated log no longer matches the head. Entries already
+    // in the anchor are loaded first (see loadFromAnchor); then the current log is saved there right away.
+    setAnchor(storage) {
+        const anchored = this.pending.then(async () => {
+            this.anchor = storage;
+            await this.loadFromAnchor();
+            const head = this.entries[this.entries.length - 1];
+            if (head) {
+                await this.saveToAnchor(head);
+            }
+        });
+
+        this.pending = anchored.catch(() => {});
+        return anchored;
+    }
+
+    // Save the entries, then the head. If the anchor's copy could not be loaded earlier, it is only
+    // overwritten once it turns out to be the start of this log, so entries kept there are never lost.
+    async saveToAnchor(head) {
+        if (!this.anchor) return;
+        if (this.anchorLoadError) {
+            const stored = await this.anchor.load(this.storageKey);
+            const last = Array.isArray(stored) ? stored[stored.length - 1] : null;
+            if (last && this.entries[last.sequence - 1]?.hash !== last.hash) {
+                throw new Error('it holds entries this log does not have, so they were not overwritten');
+            }
+            this.anchorLoadError = null;
+        }
+        await this.anchor.save(this.storageKey, this.entries);
+        await this.anchor.save(this.anchorKey, { sequence: head.sequence, hash: head.hash, timestamp: head.timestamp });
+    }
+
+    // Recompute every hash and compare the log with its anchored head.
+    // Returns { valid, entries, anchored, brokenAt, reason }; anchored is false without an anchor,
+    // in which case a valid result only rules out accidental corruption. A log with entries whose
+    // anchored head is missing is not valid
+    async verify() {
+        await this.pending;
+        const result = await this.verifyChain();
+        if (!result.valid || !this.anchor) {
+            return { ...result, anchored: false };
+        }
+
+        let head;
+        try {
+            head = await this.anchor.load(this.anchorKey);
+        } catch (error) {
+            return { valid: false, entries: this.entries.length, anchored: true, reason: `the anchored head could not be loaded: ${error.message}` };
+        }
+        if (!head) {
+            // Losing the head must not quietly turn tamper detection off
+            return this.entries.length === 0
+                ? { ...result, anchored: true }
+                : { valid: false, entries: this.entries.length, anchored: true, reason: 'the anchored head is missing (it was deleted or never saved)' };
+        }
+
+        const entry = this.entries.find(item => item.sequence === head.sequence);
+        if (!entry) {
+            return { valid: false, entries: this.entries.length, anchored: true, brokenAt: head.sequence, reason: 'the log ends before its anchored head (entries were removed)' };
+        }
+        if (entry.hash !== head.hash) {
+            return { valid: false, entries: this.entries.length, anchored: true, brokenAt: head.sequence, reason: 'entry does not match the anchored head hash (the log was rewritten)' };
+        }
+        return { ...result, anchored: true };
+    }
+
+    // Recompute every hash; returns { valid, entries, brokenAt, reason }
+    async verifyChain() {
+        let previousHash = GENESIS_HASH;
+
+        for (const entry of this.entries) {
+            const { hash, ...content } = entry;
+
+            if (entry.previousHash !== previousHash) {
+                return { valid: false, entries: this.entries.length, brokenAt: entry.sequence, reason: 'previousHash does not match the preceding entry' };
+            }
+
+            if (await sha256(canonicalJSON(content)) !== hash) {
+                return { valid: false, entries: this.entries.length, brokenAt: entry.sequence, reason: 'entry content does not match its hash' };
+            }
+
+            previousHash = hash;
+        }
+
+        return { valid: true, entries: this.entries.length };
+    }
+
+    // One JSON object per line
+    exportJSONL() {
+        return this.entries.map(entry => JSON.stringify(entry)).join('\n') + (this.entries.length ? '\n' : '');
+    }
+
+    downloadJSONL(filename = `audit-log-${new Date().toISOString().split('T')[0]}.jsonl`) {
+        const blob = new Blob([this.exportJSONL()], { type: 'application/x-ndjson' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+}
+
+// Anchor for the shared log: the EHR's REST backend when the charts are stored there
+// (medical_storage_backend 'rest', see medical-data.js), else none
+function createDefaultAnchor() {
+    try {
+        const baseUrl = localStorage.getItem('medical_storage_url');
+        if (localStorage.getItem('medical_storage_backend') === 'rest' && baseUrl) {
+            return new RestStorageAdapter({ baseUrl, pollInterval: 0 });
+        }
+    } catch (error) {
+        console.warn('Could not create the audit log anchor:', error);
+    }
+    return null;
+}
+
+// Shared log for the MCP server and the chat UI in this window
+export const auditLog = new AuditLog({ anchor: createDefaultAnchor() });
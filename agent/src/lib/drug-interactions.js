@@ -0,0 +1,348 @@
+// Drug Interactions - Offline drug–drug interaction knowledge base
+// Interactions are declared between drug classes (or single drugs) so one entry covers every
+// member, e.g. warfarin + any NSAID. Severity is 'major' (avoid; needs an explicit override),
+// 'moderate' (monitor or adjust) or 'minor' (usually no action needed).
+
+import { withGenericName, sameMedication } from './medication-names.js';
+
+export const SEVERITY_ORDER = ['major', 'moderate', 'minor'];
+
+// Drug classes and their members (generic names, lower case)
+export const DRUG_CLASSES = {
+    'ace-inhibitor': {
+        label: 'ACE inhibitors',
+        members: ['lisinopril', 'enalapril', 'ramipril', 'captopril', 'benazepril', 'quinapril', 'perindopril', 'fosinopril']
+    },
+    'arb': {
+        label: 'Angiotensin receptor blockers',
+        members: ['losartan', 'valsartan', 'irbesartan', 'candesartan', 'olmesartan', 'telmisartan']
+    },
+    'potassium-sparing-diuretic': {
+        label: 'Potassium-sparing diuretics',
+        members: ['spironolactone', 'eplerenone', 'amiloride', 'triamterene']
+    },
+    'potassium-supplement': {
+        label: 'Potassium supplements',
+        members: ['potassium chloride', 'potassium citrate', 'potassium gluconate']
+    },
+    'nsaid': {
+        label: 'NSAIDs',
+        members: ['ibuprofen', 'naproxen', 'diclofenac', 'celecoxib', 'meloxicam', 'indomethacin', 'ketorolac', 'etodolac']
+    },
+    'anticoagulant': {
+        label: 'Vitamin K antagonists',
+        members: ['warfarin', 'acenocoumarol']
+    },
+    'antiplatelet': {
+        label: 'Antiplatelets',
+        members: ['aspirin', 'clopidogrel', 'prasugrel', 'ticagrelor']
+    },
+    'ssri': {
+        label: 'SSRIs',
+        members: ['fluoxetine', 'sertraline', 'paroxetine', 'citalopram', 'escitalopram', 'fluvoxamine']
+    },
+    'maoi': {
+        label: 'MAO inhibitors',
+        members: ['phenelzine', 'tranylcypromine', 'isocarboxazid', 'selegiline', 'linezolid']
+    },
+    'cyp3a4-statin': {
+        label: 'CYP3A4-metabolised statins',
+        members: ['simvastatin', 'lovastatin', 'atorvastatin']
+    },
+    'strong-cyp3a4-inhibitor': {
+        label: 'Strong CYP3A4 inhibitors',
+        members: ['clarithromycin', 'erythromycin', 'itraconazole', 'ketoconazole', 'ritonavir']
+    },
+    'nitrate': {
+        label: 'Nitrates',
+        members: ['nitroglycerin', 'isosorbide mononitrate', 'isosorbide dinitrate']
+    },
+    'pde5-inhibitor': {
+        label: 'PDE5 inhibitors',
+        members: ['sildenafil', 'tadalafil', 'vardenafil']
+    },
+    'opioid': {
+        label: 'Opioids',
+        members: ['morphine', 'oxycodone', 'hydrocodone', 'hydromorphone', 'fentanyl', 'codeine', 'tramadol', 'methadone']
+    },
+    'benzodiazepine': {
+        label: 'Benzodiazepines',
+        members: ['diazepam', 'lorazepam', 'alprazolam', 'clonazepam', 'midazolam', 'temazepam']
+    },
+    'thiazide': {
+        label: 'Thiazide diuretics',
+        members: ['hydrochlorothiazide', 'chlorthalidone', 'indapamide']
+    },
+    'ppi-cyp2c19': {
+        label: 'CYP2C19-inhibiting PPIs',
+        members: ['omeprazole', 'esomeprazole']
+    },
+    'calcium-iron': {
+        label: 'Calcium and iron supplements',
+        members: ['calcium carbonate', 'calcium citrate', 'ferrous sulfate', 'ferrous fumarate']
+    },
+    'statin': {
+        label: 'Statins',
+        members: ['atorvastatin', 'simvastatin', 'rosuvastatin', 'pravastatin', 'lovastatin', 'fluvastatin', 'pitavastatin']
+    },
+    'ppi': {
+        label: 'Proton pump inhibitors',
+        members: ['omeprazole', 'esomeprazole', 'pantoprazole', 'lansoprazole', 'rabeprazole', 'dexlansoprazole']
+    },
+    'beta-blocker': {
+        label: 'Beta blockers',
+        members: ['metoprolol', 'atenolol', 'carvedilol', 'bisoprolol', 'propranolol', 'nebivolol', 'labetalol']
+    },
+    'sulfonylurea': {
+        label: 'Sulfonylureas',
+        members: ['glipizide', 'glyburide', 'glimepiride', 'gliclazide']
+    }
+};
+
+// Each side is a class id from DRUG_CLASSES or a single generic name
+export const INTERACTIONS = [
+    {
+        between: ['anticoagulant', 'nsaid'],
+        severity: 'major',
+        effect: 'Greatly increased risk of serious bleeding, especially gastrointestinal.',
+        management: 'Avoid the combination; use acetaminophen for pain. If unavoidable, add gastroprotection and monitor INR and for bleeding.'
+    },
+    {
+        between: ['anticoagulant', 'antiplatelet'],
+        severity: 'major',
+        effect: 'Additive bleeding risk.',
+        management: 'Combine only with a clear indication (e.g. recent stent); monitor closely for bleeding.'
+    },
+    {
+        between: ['anticoagulant', 'amiodarone'],
+        severity: 'major',
+        effect: 'Amiodarone inhibits warfarin metabolism; INR can rise sharply over weeks.',
+        management: 'Reduce the warfarin dose by 30–50% and check INR weekly until stable.'
+    },
+    {
+        between: ['anticoagulant', 'sulfamethoxazole'],
+        severity: 'major',
+        effect: 'Sulfamethoxazole inhibits warfarin metabolism and raises INR.',
+        management: 'Prefer another antibiotic; otherwise monitor INR within 3–5 days.'
+    },
+    {
+        between: ['anticoagulant', 'fluconazole'],
+        severity: 'major',
+        effect: 'Fluconazole inhibits CYP2C9 and raises INR.',
+        management: 'Consider a warfarin dose reduction and monitor INR closely.'
+    },
+    {
+        between: ['ace-inhibitor', 'potassium-sparing-diuretic'],
+        severity: 'major',
+        effect: 'Risk of life-threatening hyperkalemia, particularly with renal impairment.',
+        management: 'Avoid unless specifically indicated (e.g. heart failure); check potassium and creatinine within 1 week and regularly after.'
+    },
+    {
+        between: ['arb', 'potassium-sparing-diuretic'],
+        severity: 'major',
+        effect: 'Risk of life-threatening hyperkalemia, particularly with renal impairment.',
+        management: 'Avoid unless specifically indicated; monitor potassium and renal function closely.'
+    },
+    {
+        between: ['ace-inhibitor', 'arb'],
+        severity: 'major',
+        effect: 'Dual renin–angiotensin blockade increases hyperkalemia, hypotension and acute kidney injury without added benefit.',
+        management: 'Avoid the combination.'
+    },
+    {
+        between: ['ace-inhibitor', 'potassium-supplement'],
+        severity: 'moderate',
+        effect: 'Increased risk of hyperkalemia.',
+        management: 'Monitor serum potassium; supplements are often unnecessary with ACE inhibitors.'
+    },
+    {
+        between: ['arb', 'potassium-supplement'],
+        severity: 'moderate',
+        effect: 'Increased risk of hyperkalemia.',
+        management: 'Monitor serum potassium.'
+    },
+    {
+        between: ['potassium-sparing-diuretic', 'potassium-supplement'],
+        severity: 'major',
+        effect: 'Risk of severe hyperkalemia.',
+        management: 'Avoid potassium supplements unless hypokalemia is documented.'
+    },
+    {
+        between: ['ace-inhibitor', 'nsaid'],
+        severity: 'moderate',
+        effect: 'Reduced antihypertensive effect and risk of acute kidney injury.',
+        management: 'Use the lowest NSAID dose for the shortest time; monitor blood pressure and renal function.'
+    },
+    {
+        between: ['arb', 'nsaid'],
+        severity: 'moderate',
+        effect: 'Reduced antihypertensive effect and risk of acute kidney injury.',
+        management: 'Use the lowest NSAID dose for the shortest time; monitor blood pressure and renal function.'
+    },
+    {
+        between: ['lithium', 'nsaid'],
+        severity: 'major',
+        effect: 'NSAIDs reduce lithium clearance and can cause lithium toxicity.',
+        management: 'Avoid if possible; otherwise monitor lithium levels closely.'
+    },
+    {
+        between: ['lithium', 'ace-inhibitor'],
+        severity: 'major',
+        effect: 'ACE inhibitors reduce lithium clearance and can cause lithium toxicity.',
+        management: 'Monitor lithium levels within 1 week and adjust the dose.'
+    },
+    {
+        between: ['lithium', 'thiazide'],
+        severity: 'major',
+        effect: 'Thiazides reduce lithium clearance and can cause lithium toxicity.',
+        management: 'Avoid if possible; otherwise reduce the lithium dose and monitor levels.'
+    },
+    {
+        between: ['ssri', 'maoi'],
+        severity: 'major',
+        effect: 'Risk of serotonin syndrome, which can be fatal.',
+        management: 'Contraindicated; observe the required washout period when switching.'
+    },
+    {
+        between: ['ssri', 'tramadol'],
+        severity: 'major',
+        effect: 'Risk of serotonin syndrome and lowered seizure threshold.',
+        management: 'Avoid if possible; otherwise use low doses and monitor for serotonergic symptoms.'
+    },
+    {
+        between: ['ssri', 'nsaid'],
+        severity: 'moderate',
+        effect: 'Increased risk of gastrointestinal bleeding.',
+        management: 'Consider a proton pump inhibitor for gastroprotection.'
+    },
+    {
+        between: ['ssri', 'anticoagulant'],
+        severity: 'moderate',
+        effect: 'Increased bleeding risk.',
+        management: 'Monitor INR and for signs of bleeding.'
+    },
+    {
+        between: ['cyp3a4-statin', 'strong-cyp3a4-inhibitor'],
+        severity: 'major',
+        effect: 'Markedly raised statin levels with risk of myopathy and rhabdomyolysis.',
+        management: 'Suspend the statin during treatment or switch to pravastatin or rosuvastatin.'
+    },
+    {
+        between: ['nitrate', 'pde5-inhibitor'],
+        severity: 'major',
+        effect: 'Profound, potentially fatal hypotension.',
+        management: 'Contraindicated.'
+    },
+    {
+        between: ['opioid', 'benzodiazepine'],
+        severity: 'major',
+        effect: 'Additive respiratory and CNS depression; risk of overdose death.',
+        management: 'Avoid co-prescribing; if necessary use the lowest doses and monitor sedation and breathing.'
+    },
+    {
+        between: ['methotrexate', 'sulfamethoxazole'],
+        severity: 'major',
+        effect: 'Trimethoprim–sulfamethoxazole increases methotrexate toxicity (bone marrow suppression).',
+        management: 'Avoid the combination.'
+    },
+    {
+        between: ['methotrexate', 'nsaid'],
+        severity: 'moderate',
+        effect: 'NSAIDs reduce methotrexate clearance.',
+        management: 'Usually acceptable with low-dose methotrexate; monitor blood counts and renal function.'
+    },
+    {
+        between: ['digoxin', 'amiodarone'],
+        severity: 'major',
+        effect: 'Amiodarone roughly doubles digoxin levels.',
+        management: 'Halve the digoxin dose and monitor digoxin levels.'
+    },
+    {
+        between: ['clopidogrel', 'ppi-cyp2c19'],
+        severity: 'moderate',
+        effect: 'Reduced activation of clopidogrel and antiplatelet effect.',
+        management: 'Prefer pantoprazole if a PPI is needed.'
+    },
+    {
+        between: ['aspirin', 'nsaid'],
+        severity: 'moderate',
+        effect: 'Ibuprofen and other NSAIDs can blunt the cardioprotective effect of low-dose aspirin and add GI bleeding risk.',
+        management: 'Take aspirin at least 30 minutes before the NSAID or avoid regular NSAID use.'
+    },
+    {
+        between: ['levothyroxine', 'calcium-iron'],
+        severity: 'minor',
+        effect: 'Reduced levothyroxine absorption.',
+        management: 'Separate doses by at least 4 hours.'
+    },
+    {
+        between: ['metformin', 'topiramate'],
+        severity: 'minor',
+        effect: 'Possible increased risk of lactic acidosis.',
+        management: 'Monitor for metabolic acidosis.'
+    }
+];
+
+// Lower-case name plus its generic, so brand names ("Coumadin", "Advil") match class members
+function normalizeName(name) {
+    return withGenericName(name);
+}
+
+// Class ids (and the drug's own generic name) a medication name belongs to
+export function getDrugClasses(medicationName) {
+    const name = normalizeName(medicationName);
+    return Object.entries(DRUG_CLASSES)
+        .filter(([, drugClass]) => drugClass.members.some(member => name.includes(member)))
+        .map(([classId]) => classId);
+}
+
+// Does a medication name match one side of an interaction (class id or generic name)?
+function matchesSide(medicationName, side) {
+    const name = normalizeName(medicationName);
+    const drugClass = DRUG_CLASSES[side];
+    return drugClass ? drugClass.members.some(member => name.includes(member)) : name.includes(side);
+}
+
+function describeSide(side) {
+    return DRUG_CLASSES[side]?.label || side;
+}
+
+// Interactions between one medication and a list of others, most severe first:
+// [{ severity, drugs: [medicationName, otherName], classes: [sideA, sideB], effect, management }]
+export function findInteractions(medicationName, otherMedications) {
+    const findings = [];
+
+    otherMedications.forEach(other => {
+        if (sameMedication(other, medicationName)) return;
+
+        INTERACTIONS.forEach(interaction => {
+            const [a, b] = interaction.between;
+            const forward = matchesSide(medicationName, a) && matchesSide(other, b);
+            const reverse = matchesSide(medicationName, b) && matchesSide(other, a);
+            if (!forward && !reverse) return;
+
+            findings.push({
+                severity: interaction.severity,
+                drugs: [medicationName, other],
+                classes: (forward ? [a, b] : [b, a]).map(describeSide),
+                effect: interaction.effect,
+                management: interaction.management
+            });
+        });
+    });
+
+    return findings.sort((x, y) => SEVERITY_ORDER.indexOf(x.severity) - SEVERITY_ORDER.indexOf(y.severity));
+}
+
+// Structured warning for an interaction finding, as returned in `warnings` by MedicalDataManager
+export function toInteractionWarning(finding) {
+    return {
+        type: 'interaction',
+        severity: finding.severity,
+        drugs: finding.drugs,
+        classes: finding.classes,
+        effect: finding.effect,
+        management: finding.management,
+        message: `${finding.severity.toUpperCase()} INTERACTION: ${finding.drugs.join(' + ')} - ${finding.effect}`
+    };
+}
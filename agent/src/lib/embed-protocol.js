@@ -0,0 +1,234 @@
+// Embed Protocol - Versioned message protocol between the host page and the Ozwell iframe
+// Every message is an envelope { type, version, ...fields }. Requests carry a requestId that the
+// answer (or an 'error' frame) repeats. On load the iframe announces its version and the message
+// types it accepts ('iframe-ready'), and the host answers with its own ('host-hello'), so either
+// side can be upgraded without the other silently ignoring what it does not understand.
+// Host pages can import this module for typed send/receive helpers.
+
+import { z } from 'zod';
+
+// major.minor: a different major version is incompatible; minor versions only add message types or fields
+export const PROTOCOL_VERSION = '1.2';
+
+// Codes carried by 'error' frames
+export const ERROR_CODES = {
+    invalidMessage: 'invalid-message',
+    unknownType: 'unknown-type',
+    notAllowed: 'not-allowed',
+    unsupportedVersion: 'unsupported-version',
+    unsupported: 'unsupported',
+    requestFailed: 'request-failed',
+    chatFailed: 'chat-failed',
+    timeout: 'timeout',
+    destroyed: 'destroyed'
+};
+
+const requestId = z.union([z.string(), z.number()]).optional();
+const empty = z.object({}).passthrough();
+const capabilities = z.array(z.string());
+
+// Envelope schema of every message type (extra fields are allowed) and who may send it:
+// 'host' (host page -> iframe), 'iframe' (iframe -> host page) or 'internal' (between the
+// chat and the MCP server inside the iframe window)
+export const MESSAGE_TYPES = {
+    // MCP JSON-RPC frames; the message itself is checked by PostMessageTransport
+    'mcp-jsonrpc': {
+        from: ['host', 'iframe', 'internal'],
+        schema: z.object({
+            channel: z.string(),
+            sender: z.enum(['client', 'server']),
+            message: z.object({ jsonrpc: z.literal('2.0') }).passthrough()
+        }).passthrough()
+    },
+
+    // Handshake and errors
+    'iframe-ready': {
+        from: ['iframe'],
+        schema: z.object({ capabilities: capabilities.optional() }).passthrough()
+    },
+    'host-hello': {
+        from: ['host'],
+        schema: z.object({ version: z.string(), capabilities }).passthrough()
+    },
+    'error': {
+        from: ['host', 'iframe'],
+        schema: z.object({ requestId, code: z.string(), message: z.string() }).passthrough()
+    },
+
+    // Host page -> iframe
+    'show': { from: ['host'], schema: empty },
+    'hide': { from: ['host'], schema: empty },
+    'set-active-patient': {
+        from: ['host'],
+        schema: z.object({
+            requestId,
+            patient: z.union([
+                z.string().min(1),
+                z.object({ patientId: z.union([z.string(), z.number()]).optional(), mrn: z.string().optional() }).passthrough()
+            ])
+        }).passthrough()
+    },
+    'set-patient-context': {
+        from: ['host'],
+        schema: z.object({ requestId, context: z.union([z.string().min(1), z.object({}).passthrough()]) }).passthrough()
+    },
+
+    // Host page -> iframe requests added in 1.1 (see OzwellIframe), answered by the replies below
+    'send-chat-message': { from: ['host'], schema: z.object({ requestId, text: z.string().min(1) }).passthrough() },
+    'get-conversation': { from: ['host'], schema: z.object({ requestId }).passthrough() },
+    'execute-tool': {
+        from: ['host'],
+        schema: z.object({ requestId, name: z.string().min(1), arguments: z.record(z.any()).optional(), patientId: z.string().optional(), requestedBy: z.string().optional(), approvedBy: z.string().trim().min(1).optional() }).passthrough()
+    },
+    'get-patient-context': { from: ['host'], schema: z.object({ requestId }).passthrough() },
+    'set-provider': { from: ['host'], schema: z.object({ requestId, provider: z.string().min(1) }).passthrough() },
+
+    'mcp-context': { from: ['host'], schema: z.object({ context: z.object({}).passthrough() }).passthrough() },
+    'mcp-tools-context': { from: ['host'], schema: empty },
+    'mcp-response': { from: ['host'], schema: empty },
+    'medication-response': { from: ['host'], schema: z.object({ message: z.string() }).passthrough() },
+
+    // Legacy tool messages (superseded by MCP JSON-RPC); hosts use 'execute-tool'
+    'mcp-execute-tool': {
+        from: ['internal'],
+        schema: z.object({ requestId, toolName: z.string().min(1), parameters: z.record(z.any()).optional() }).passthrough()
+    },
+    'mcp-get-tools': { from: ['internal'], schema: empty },
+    'mcp-tools-available': { from: ['internal'], schema: z.object({ tools: z.array(z.any()) }).passthrough() },
+    'mcp-tool-response': { from: ['internal'], schema: z.object({ requestId, toolName: z.string(), success: z.boolean() }).passthrough() },
+    'request-tools-context': { from: ['host', 'internal'], schema: empty },
+    'tools-context': {
+        from: ['host', 'iframe', 'internal'],
+        schema: z.object({ tools: z.array(z.any()).optional(), toolsContext: z.object({}).passthrough().optional() }).passthrough()
+    },
+
+    // Iframe -> host page
+    'resize': {
+        from: ['iframe'],
+        schema: z.object({ width: z.string().optional(), height: z.string().optional() }).passthrough()
+    },
+    'close': { from: ['iframe'], schema: empty },
+    'mcp-log': {
+        from: ['iframe', 'internal'],
+        schema: z.object({ source: z.string().optional(), message: z.string() }).passthrough()
+    },
+    'mcp-log-response': {
+        from: ['iframe'],
+        schema: z.object({ source: z.string().optional(), message: z.string() }).passthrough()
+    },
+    'active-patient-changed': { from: ['iframe'], schema: z.object({ requestId, success: z.boolean() }).passthrough() },
+    'patient-context-loaded': { from: ['iframe'], schema: z.object({ requestId, success: z.boolean() }).passthrough() },
+    'chat-reply': { from: ['iframe'], schema: z.object({ requestId, success: z.boolean(), reply: z.string() }).passthrough() },
+    'conversation': { from: ['iframe'], schema: z.object({ requestId, success: z.boolean(), messages: z.array(z.any()) }).passthrough() },
+    'tool-result': { from: ['iframe'], schema: z.object({ requestId, success: z.boolean() }).passthrough() },
+    'patient-context': { from: ['iframe'], schema: z.object({ requestId, success: z.boolean(), context: z.object({}).passthrough() }).passthrough() },
+    'provider-changed': { from: ['iframe'], schema: z.object({ requestId, success: z.boolean(), provider: z.string() }).passthrough() },
+    'chart-changed': {
+        from: ['iframe'],
+        schema: z.object({ patientId: z.string(), action: z.string(), sections: z.array(z.string()) }).passthrough()
+    },
+
+    // Iframe -> host page events added in 1.2 (OzwellIframe.on)
+    'chat-message': {
+        from: ['iframe'],
+        schema: z.object({ role: z.enum(['user', 'assistant']), content: z.string(), patientId: z.string() }).passthrough()
+    },
+    'tool-call-proposed': {
+        from: ['iframe'],
+        schema: z.object({ callId: z.string(), name: z.string(), requiresApproval: z.boolean() }).passthrough()
+    },
+    'tool-call-completed': {
+        from: ['iframe'],
+        schema: z.object({ callId: z.string(), name: z.string(), approval: z.string(), success: z.boolean() }).passthrough()
+    }
+};
+
+// Can a peer speaking `version` talk to this one? Messages without a version come from
+// integrations older than the protocol and are accepted
+export function isCompatibleVersion(version) {
+    if (version === undefined) return true;
+    return typeof version === 'string' && version.split('.')[0] === PROTOCOL_VERSION.split('.')[0];
+}
+
+// Message types accepted from a sender ('host', 'iframe' or 'internal'), announced in the handshake
+export function capabilitiesFor(direction) {
+    return Object.keys(MESSAGE_TYPES).filter(type => MESSAGE_TYPES[type].from.includes(direction));
+}
+
+// Check a message envelope against its schema. directions limits which senders are accepted.
+// Returns { valid: true } or { valid: false, code, error } (code from ERROR_CODES)
+export function validateMessage(data, directions = ['host', 'iframe', 'internal']) {
+    if (!data || typeof data !== 'object' || typeof data.type !== 'string') {
+        return { valid: false, code: ERROR_CODES.invalidMessage, error: 'not a message envelope' };
+    }
+    if (!isCompatibleVersion(data.version)) {
+        return { valid: false, code: ERROR_CODES.unsupportedVersion, error: `protocol version ${data.version} is not supported (this side speaks ${PROTOCOL_VERSION})` };
+    }
+
+    const messageType = MESSAGE_TYPES[data.type];
+    if (!messageType) {
+        return { valid: false, code: ERROR_CODES.unknownType, error: `unknown message type "${data.type}"` };
+    }
+    if (!messageType.from.some(direction => directions.includes(direction))) {
+        return { valid: false, code: ERROR_CODES.notAllowed, error: `"${data.type}" is not accepted from this sender` };
+    }
+
+    const parsed = messageType.schema.safeParse(data);
+    if (!parsed.success) {
+        const issue = parsed.error.issues[0];
+        return { valid: false, code: ERROR_CODES.invalidMessage, error: `invalid "${data.type}": ${issue.path.join('.') || 'message'} ${issue.message}` };
+    }
+    return { valid: true };
+}
+
+// Build a versioned envelope; throws (error.code set) if it does not match the schema for its type
+export function createMessage(type, fields = {}) {
+    const message = { ...fields, type, version: PROTOCOL_VERSION };
+    const result = validateMessage(message);
+    if (!result.valid) {
+        const error = new Error(result.error);
+        error.code = result.code;
+        throw error;
+    }
+    return message;
+}
+
+// Error frame answering a request (requestId) or reporting a message that was rejected.
+// details are extra fields for the receiver, e.g. the clinical warnings of a refused tool call
+export function createErrorFrame(requestId, code, message, details = {}) {
+    return createMessage('error', { ...details, ...(requestId !== undefined && { requestId }), code, message });
+}
+
+// Error object for a received error frame (error.code, error.requestId, error.details)
+export function toError(frame) {
+    const { type, version, code, message, requestId, ...details } = frame;
+    const error = new Error(message);
+    error.code = code;
+    error.requestId = requestId;
+    error.details = details;
+    return error;
+}
+
+// Host helper: send a validated message to the iframe window
+export function sendEnvelope(targetWindow, targetOrigin, type, fields = {}) {
+    const message = createMessage(type, fields);
+    targetWindow.postMessage(message, targetOrigin);
+    return message;
+}
+
+// Host helper: the validated message of a 'message' event from the iframe window on one of
+// origins, or null (rejected messages are logged)
+export function receiveEnvelope(event, frameWindow, origins) {
+    if (event.source !== frameWindow) return null;
+    if (!origins.includes(event.origin)) {
+        console.warn(`Ignored message from untrusted origin ${event.origin}`);
+        return null;
+    }
+
+    const result = validateMessage(event.data, ['iframe']);
+    if (!result.valid) {
+        console.warn(`Ignored invalid message from the iframe: ${result.error}`, event.data);
+        return null;
+    }
+    return event.data;
+}
@@ -0,0 +1,388 @@
+// FHIR R4 - Convert MedicalDataManager patientData to and from a FHIR R4 Bundle
+// Patient, MedicationStatement, AllergyIntolerance, Condition and vital-sign Observations are mapped;
+// anything else in an imported Bundle is reported back as unmapped
+
+import { VITAL_TYPES } from './vitals.js';
+
+const SYSTEMS = {
+    patientId: 'urn:ozwell:patient-id',
+    mrn: 'urn:ozwell:mrn',
+    age: 'https://ozwell.ai/fhir/StructureDefinition/patient-age',
+    icd10: 'http://hl7.org/fhir/sid/icd-10-cm',
+    loinc: 'http://loinc.org',
+    ucum: 'http://unitsofmeasure.org',
+    observationCategory: 'http://terminology.hl7.org/CodeSystem/observation-category',
+    allergyClinical: 'http://terminology.hl7.org/CodeSystem/allergyintolerance-clinical',
+    allergyVerification: 'http://terminology.hl7.org/CodeSystem/allergyintolerance-verification',
+    conditionClinical: 'http://terminology.hl7.org/CodeSystem/condition-clinical',
+    identifierType: 'http://terminology.hl7.org/CodeSystem/v2-0203'
+};
+
+// Vital sign observation types carried as Observations (blood pressure is a panel, below)
+const VITAL_SIGNS = {
+    heartRate: { loinc: '8867-4', display: 'Heart rate' },
+    temperature: { loinc: '8310-5', display: 'Body temperature' },
+    respiratoryRate: { loinc: '9279-1', display: 'Respiratory rate' },
+    oxygenSaturation: { loinc: '2708-6', display: 'Oxygen saturation in Arterial blood' }
+};
+
+// Display units used in patientData.vitals -> UCUM codes
+const UCUM_UNITS = {
+    'mmHg': 'mm[Hg]',
+    'bpm': '/min',
+    'breaths/min': '/min',
+    '°F': '[degF]',
+    '°C': 'Cel',
+    '%': '%'
+};
+
+const BLOOD_PRESSURE = {
+    panel: { loinc: '85354-9', display: 'Blood pressure panel with all children optional' },
+    systolic: { loinc: '8480-6', display: 'Systolic blood pressure' },
+    diastolic: { loinc: '8462-4', display: 'Diastolic blood pressure' },
+    unit: 'mm[Hg]'
+};
+
+const SEVERITY_TO_FHIR = { Mild: 'mild', Moderate: 'moderate', Severe: 'severe' };
+const SEVERITY_FROM_FHIR = { mild: 'Mild', moderate: 'Moderate', severe: 'Severe' };
+
+const MEDICATION_STATUS_TO_FHIR = { active: 'active', discontinued: 'stopped' };
+const MEDICATION_STATUS_FROM_FHIR = { active: 'active', stopped: 'discontinued', completed: 'discontinued', 'on-hold': 'active', intended: 'active' };
+
+// FHIR ids allow letters, digits, '-' and '.' (max 64)
+function fhirId(id) {
+    return String(id).replace(/[^A-Za-z0-9\-.]/g, '-').slice(0, 64);
+}
+
+function codingOf(concept, system) {
+    return (concept?.coding || []).find(coding => coding.system === system);
+}
+
+function conceptText(concept) {
+    return concept?.text || concept?.coding?.find(coding => coding.display)?.display || concept?.coding?.[0]?.code || null;
+}
+
+// "10mg" -> { value: 10, unit: 'mg' }
+function parseQuantity(text) {
+    const match = /^\s*(\d+(?:\.\d+)?)\s*([a-zA-Z%/µ]+)?\s*$/.exec(text || '');
+    return match ? { value: parseFloat(match[1]), unit: match[2] || undefined } : null;
+}
+
+// Timing.repeat from a parsed sig: "q6-8h" -> period 6, periodMax 8 h; "BID" -> frequency 2 per 1 d
+function sigRepeat(sig) {
+    if (!sig) return undefined;
+    if (sig.interval) {
+        return { frequency: 1, period: sig.interval.hours, periodMax: sig.interval.maxHours ?? undefined, periodUnit: 'h' };
+    }
+    if (sig.timesPerDay >= 1) {
+        return { frequency: sig.timesPerDay, period: 1, periodUnit: 'd' };
+    }
+    if (sig.timesPerDay > 0) {
+        return { frequency: 1, period: Math.round(1 / sig.timesPerDay), periodUnit: 'd' };
+    }
+    return undefined;
+}
+
+function vitalObservation(patientRef, id, date, code, value) {
+    return {
+        resourceType: 'Observation',
+        id: id,
+        status: 'final',
+        category: [{ coding: [{ system: SYSTEMS.observationCategory, code: 'vital-signs', display: 'Vital Signs' }] }],
+        code: { coding: [{ system: SYSTEMS.loinc, code: code.loinc, display: code.display }], text: code.display },
+        subject: patientRef,
+        effectiveDateTime: date,
+        ...value
+    };
+}
+
+function quantity(value, unit) {
+    return { value: Number(value), unit: unit, system: SYSTEMS.ucum, code: UCUM_UNITS[unit] || unit };
+}
+
+// Display unit of an imported quantity
+function unitFromQuantity(valueQuantity, fallback) {
+    if (valueQuantity?.unit) return valueQuantity.unit;
+    const displayUnit = Object.keys(UCUM_UNITS).find(unit => UCUM_UNITS[unit] === valueQuantity?.code);
+    return displayUnit || fallback;
+}
+
+// patientData -> FHIR R4 Bundle (type 'collection')
+export function toFHIRBundle(patientData) {
+    const info = patientData.patientInfo || {};
+    const patientId = fhirId(info.patientId || 'patient');
+    const patientRef = { reference: `Patient/${patientId}`, display: info.name };
+    const resources = [];
+
+    const nameParts = (info.name || '').trim().split(/\s+/).filter(Boolean);
+    resources.push({
+        resourceType: 'Patient',
+        id: patientId,
+        identifier: [
+            info.patientId && { system: SYSTEMS.patientId, value: info.patientId },
+            info.mrn && {
+                type: { coding: [{ system: SYSTEMS.identifierType, code: 'MR' }] },
+                system: SYSTEMS.mrn,
+                value: info.mrn
+            }
+        ].filter(Boolean),
+        name: nameParts.length ? [{ text: info.name, family: nameParts.length > 1 ? nameParts[nameParts.length - 1] : undefined, given: nameParts.length > 1 ? nameParts.slice(0, -1) : nameParts }] : undefined,
+        gender: info.gender,
+        birthDate: info.birthDate,
+        extension: info.age !== undefined ? [{ url: SYSTEMS.age, valueInteger: Number(info.age) }] : undefined
+    });
+
+    (patientData.medications || []).forEach(med => {
+        const sig = med.sig?.parsed ? med.sig : null;
+        const dose = sig ? { value: sig.amount, unit: sig.unit } : parseQuantity(med.dose);
+        resources.push({
+            resourceType: 'MedicationStatement',
+            id: fhirId(med.id),
+            status: MEDICATION_STATUS_TO_FHIR[med.status] || 'active',
+            statusReason: med.discontinueReason ? [{ text: med.discontinueReason }] : undefined,
+            medicationCodeableConcept: { text: med.name },
+            subject: patientRef,
+            effectivePeriod: { start: med.startDate, end: med.discontinueDate },
+            dateAsserted: med.dateAdded,
+            informationSource: med.prescriber ? { display: med.prescriber } : undefined,
+            reasonCode: med.indication ? [{ text: med.indication }] : undefined,
+            dosage: [{
+                text: [med.dose, med.frequency].filter(Boolean).join(' '),
+                timing: med.frequency ? { code: { text: med.frequency }, repeat: sigRepeat(sig) } : undefined,
+                asNeededBoolean: sig ? sig.prn : undefined,
+                route: sig?.route ? { text: sig.route } : undefined,
+                doseAndRate: dose ? [{ doseQuantity: { value: dose.value, unit: dose.unit } }] : undefined,
+                maxDosePerPeriod: sig?.maxDailyDose ? {
+                    numerator: { value: sig.maxDailyDose.value, unit: sig.maxDailyDose.unit },
+                    denominator: { value: 1, unit: 'd', system: SYSTEMS.ucum, code: 'd' }
+                } : undefined
+            }]
+        });
+    });
+
+    (patientData.allergies || []).forEach(allergy => {
+        resources.push({
+            resourceType: 'AllergyIntolerance',
+            id: fhirId(allergy.id),
+            clinicalStatus: { coding: [{ system: SYSTEMS.allergyClinical, code: 'active' }] },
+            verificationStatus: { coding: [{ system: SYSTEMS.allergyVerification, code: 'confirmed' }] },
+            code: { text: allergy.allergen },
+            patient: patientRef,
+            recordedDate: allergy.dateRecorded,
+            recorder: allergy.recordedBy ? { display: allergy.recordedBy } : undefined,
+            reaction: [{
+                manifestation: [{ text: allergy.reaction || 'Unknown reaction' }],
+                severity: SEVERITY_TO_FHIR[allergy.severity]
+            }]
+        });
+    });
+
+    (patientData.conditions || []).forEach(condition => {
+        resources.push({
+            resourceType: 'Condition',
+            id: fhirId(condition.id),
+            clinicalStatus: { coding: [{ system: SYSTEMS.conditionClinical, code: condition.status === 'resolved' ? 'resolved' : 'active' }] },
+            code: {
+                coding: condition.icd10 ? [{ system: SYSTEMS.icd10, code: condition.icd10, display: condition.name }] : undefined,
+                text: condition.name
+            },
+            subject: patientRef,
+            onsetDateTime: condition.diagnosisDate,
+            abatementDateTime: condition.resolvedDate
+        });
+    });
+
+    (Array.isArray(patientData.vitals) ? patientData.vitals : []).forEach(observation => {
+        if (observation.type === 'bloodPressure') {
+            resources.push(vitalObservation(patientRef, fhirId(observation.id), observation.recordedAt, BLOOD_PRESSURE.panel, {
+                component: [
+                    { code: { coding: [{ system: SYSTEMS.loinc, code: BLOOD_PRESSURE.systolic.loinc, display: BLOOD_PRESSURE.systolic.display }] }, valueQuantity: quantity(observation.value.systolic, observation.unit) },
+                    { code: { coding: [{ system: SYSTEMS.loinc, code: BLOOD_PRESSURE.diastolic.loinc, display: BLOOD_PRESSURE.diastolic.display }] }, valueQuantity: quantity(observation.value.diastolic, observation.unit) }
+                ],
+                method: observation.source ? { text: observation.source } : undefined
+            }));
+            return;
+        }
+
+        const code = VITAL_SIGNS[observation.type];
+        if (!code) return;
+        resources.push(vitalObservation(patientRef, fhirId(observation.id), observation.recordedAt, code, {
+            valueQuantity: quantity(observation.value, observation.unit),
+            method: observation.source ? { text: observation.source } : undefined
+        }));
+    });
+
+    return {
+        resourceType: 'Bundle',
+        type: 'collection',
+        timestamp: new Date().toISOString(),
+        // JSON round trip drops the undefined optional fields
+        entry: JSON.parse(JSON.stringify(resources)).map(resource => ({ resource }))
+    };
+}
+
+// FHIR R4 Bundle -> { patientData, unmapped: [{ resourceType, id, reason }] }
+export function fromFHIRBundle(bundle) {
+    if (!bundle || bundle.resourceType !== 'Bundle') {
+        throw new Error('Expected a FHIR Bundle resource');
+    }
+
+    const resources = (bundle.entry || []).map(entry => entry.resource).filter(Boolean);
+    const unmapped = [];
+    const skip = (resource, reason) => unmapped.push({ resourceType: resource.resourceType, id: resource.id || null, reason });
+
+    const patients = resources.filter(resource => resource.resourceType === 'Patient');
+    if (patients.length === 0) {
+        throw new Error('Bundle does not contain a Patient resource');
+    }
+    const patient = patients[0];
+    patients.slice(1).forEach(extra => skip(extra, 'Only one Patient per chart is supported'));
+
+    // References that may point at the imported patient
+    const patientRefs = new Set([`Patient/${patient.id}`]);
+    (bundle.entry || []).forEach(entry => {
+        if (entry.resource === patient && entry.fullUrl) patientRefs.add(entry.fullUrl);
+    });
+    const isForPatient = (reference) => !reference?.reference || patientRefs.has(reference.reference);
+
+    const medicationResources = new Map(resources
+        .filter(resource => resource.resourceType === 'Medication')
+        .map(resource => [`Medication/${resource.id}`, resource]));
+
+    const identifier = (system) => (patient.identifier || []).find(id => id.system === system)?.value;
+    const mrn = identifier(SYSTEMS.mrn) || (patient.identifier || []).find(id => id.type?.coding?.some(coding => coding.code === 'MR'))?.value;
+    const name = patient.name?.[0];
+    const ageExtension = (patient.extension || []).find(extension => extension.url === SYSTEMS.age);
+    let age = ageExtension?.valueInteger;
+    if (age === undefined && patient.birthDate) {
+        const birth = new Date(patient.birthDate);
+        const now = new Date();
+        age = now.getFullYear() - birth.getFullYear() - (now < new Date(now.getFullYear(), birth.getMonth(), birth.getDate()) ? 1 : 0);
+    }
+
+    const patientData = {
+        patientInfo: {
+            name: name?.text || [...(name?.given || []), name?.family].filter(Boolean).join(' ') || 'Unknown Patient',
+            age: age,
+            patientId: identifier(SYSTEMS.patientId) || patient.id,
+            mrn: mrn,
+            gender: patient.gender,
+            birthDate: patient.birthDate
+        },
+        medications: [],
+        allergies: [],
+        conditions: [],
+        vitals: []
+    };
+
+    const addVital = (resource, type, value, unit) => {
+        patientData.vitals.push({
+            id: resource.id || `vital-${type}-${patientData.vitals.length + 1}`,
+            type: type,
+            value: value,
+            unit: unit,
+            recordedAt: resource.effectiveDateTime || resource.effectivePeriod?.start || resource.issued,
+            source: resource.method?.text || 'imported'
+        });
+    };
+
+    resources.forEach(resource => {
+        switch (resource.resourceType) {
+            case 'Patient':
+            case 'Medication':
+                return;
+
+            case 'MedicationStatement': {
+                if (!isForPatient(resource.subject)) return skip(resource, 'Belongs to a different patient');
+                const referenced = medicationResources.get(resource.medicationReference?.reference);
+                const medName = conceptText(resource.medicationCodeableConcept) || conceptText(referenced?.code) || resource.medicationReference?.display;
+                if (!medName) return skip(resource, 'Medication has no name');
+
+                const dosage = resource.dosage?.[0] || {};
+                const doseQuantity = dosage.doseAndRate?.[0]?.doseQuantity;
+                const frequency = dosage.timing?.code?.text || conceptText(dosage.timing?.code) || '';
+                let dose = doseQuantity ? `${doseQuantity.value}${doseQuantity.unit || ''}` : '';
+                if (!dose && dosage.text) {
+                    dose = frequency && dosage.text.endsWith(frequency) ? dosage.text.slice(0, -frequency.length).trim() : dosage.text;
+                }
+
+                patientData.medications.push({
+                    id: resource.id,
+                    name: medName,
+                    dose: dose,
+                    frequency: frequency,
+                    indication: conceptText(resource.reasonCode?.[0]) || '',
+                    startDate: resource.effectivePeriod?.start || resource.effectiveDateTime,
+                    prescriber: resource.informationSource?.display || 'Imported',
+                    status: MEDICATION_STATUS_FROM_FHIR[resource.status] || 'discontinued',
+                    discontinueDate: resource.effectivePeriod?.end,
+                    discontinueReason: conceptText(resource.statusReason?.[0]) || undefined,
+                    dateAdded: resource.dateAsserted
+                });
+                return;
+            }
+
+            case 'AllergyIntolerance': {
+                if (!isForPatient(resource.patient)) return skip(resource, 'Belongs to a different patient');
+                const allergen = conceptText(resource.code);
+                if (!allergen) return skip(resource, 'Allergy has no substance');
+                const clinicalStatus = codingOf(resource.clinicalStatus, SYSTEMS.allergyClinical)?.code;
+                if (clinicalStatus && clinicalStatus !== 'active') return skip(resource, `Allergy is ${clinicalStatus}`);
+
+                const reaction = resource.reaction?.[0];
+                patientData.allergies.push({
+                    id: resource.id,
+                    allergen: allergen,
+                    reaction: conceptText(reaction?.manifestation?.[0]) || 'Unknown reaction',
+                    severity: SEVERITY_FROM_FHIR[reaction?.severity] || (resource.criticality === 'high' ? 'Severe' : 'Moderate'),
+                    dateRecorded: resource.recordedDate,
+                    recordedBy: resource.recorder?.display
+                });
+                return;
+            }
+
+            case 'Condition': {
+                if (!isForPatient(resource.subject)) return skip(resource, 'Belongs to a different patient');
+                const conditionName = conceptText(resource.code);
+                if (!conditionName) return skip(resource, 'Condition has no code or text');
+                const clinicalStatus = codingOf(resource.clinicalStatus, SYSTEMS.conditionClinical)?.code || 'active';
+
+                patientData.conditions.push({
+                    id: resource.id,
+                    name: conditionName,
+                    icd10: codingOf(resource.code, SYSTEMS.icd10)?.code || codingOf(resource.code, 'http://hl7.org/fhir/sid/icd-10')?.code,
+                    status: ['resolved', 'inactive', 'remission'].includes(clinicalStatus) ? 'resolved' : 'active',
+                    diagnosisDate: resource.onsetDateTime || resource.recordedDate,
+                    resolvedDate: resource.abatementDateTime
+                });
+                return;
+            }
+
+            case 'Observation': {
+                if (!isForPatient(resource.subject)) return skip(resource, 'Belongs to a different patient');
+                const loinc = codingOf(resource.code, SYSTEMS.loinc)?.code;
+
+                if (loinc === BLOOD_PRESSURE.panel.loinc || loinc === '55284-4') {
+                    const component = (code) => resource.component?.find(item => codingOf(item.code, SYSTEMS.loinc)?.code === code)?.valueQuantity;
+                    const systolic = component(BLOOD_PRESSURE.systolic.loinc);
+                    const diastolic = component(BLOOD_PRESSURE.diastolic.loinc);
+                    if (systolic?.value === undefined || diastolic?.value === undefined) return skip(resource, 'Blood pressure without systolic/diastolic components');
+                    addVital(resource, 'bloodPressure', { systolic: systolic.value, diastolic: diastolic.value }, unitFromQuantity(systolic, 'mmHg'));
+                    return;
+                }
+
+                const type = Object.keys(VITAL_SIGNS).find(key => VITAL_SIGNS[key].loinc === loinc);
+                if (!type || resource.valueQuantity?.value === undefined) {
+                    return skip(resource, 'Not a supported vital sign');
+                }
+                addVital(resource, type, resource.valueQuantity.value, unitFromQuantity(resource.valueQuantity, VITAL_TYPES[type].unit));
+                return;
+            }
+
+            default:
+                skip(resource, 'Unsupported resource type');
+        }
+    });
+
+    return { patientData: JSON.parse(JSON.stringify(patientData)), unmapped };
+}
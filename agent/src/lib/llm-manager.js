@@ -19,6 +19,9 @@ class LLMManager {
             }
         };
         
+        // MCP tool definitions (name, description, JSON Schema inputSchema) from tools/list
+        this.tools = [];
+        
         // Load saved configurations
         this.loadSavedConfigurations();
     }
@@ -146,105 +149,40 @@ class LLMManager {
         }
     }
 
-    async callOpenAI(messages, provider, onChunk = null) {
-        // Define available tools for OpenAI function calling
-        const tools = [
-            {
-                type: "function",
-                function: {
-                    name: "getContext",
-                    description: "Retrieve current patient medical information including medications, allergies, and patient details",
-                    parameters: {
-                        type: "object",
-                        properties: {},
-                        required: []
-                    }
-                }
-            },
-            {
-                type: "function",
-                function: {
-                    name: "addMedication",
-                    description: "Add a new medication to the patient's medication list",
-                    parameters: {
-                        type: "object",
-                        properties: {
-                            name: {
-                                type: "string",
-                                description: "Name of the medication (e.g., 'Paracetamol', 'Ibuprofen')"
-                            },
-                            dose: {
-                                type: "string",
-                                description: "Dosage amount (e.g., '500mg', '650mg')"
-                            },
-                            frequency: {
-                                type: "string",
-                                description: "How often to take the medication (e.g., 'twice daily', 'every 6 hours')"
-                            },
-                            indication: {
-                                type: "string",
-                                description: "Reason for prescribing the medication (e.g., 'Pain relief', 'Fever')"
-                            }
-                        },
-                        required: ["name", "dose", "frequency", "indication"]
-                    }
-                }
-            },
-            {
-                type: "function",
-                function: {
-                    name: "discontinueMedication",
-                    description: "Remove or discontinue a medication from the patient's list",
-                    parameters: {
-                        type: "object",
-                        properties: {
-                            medId: {
-                                type: "string",
-                                description: "Name or ID of the medication to discontinue"
-                            }
-                        },
-                        required: ["medId"]
-                    }
-                }
-            },
-            {
-                type: "function",
-                function: {
-                    name: "addAllergy",
-                    description: "Add a new allergy to the patient's allergy list",
-                    parameters: {
-                        type: "object",
-                        properties: {
-                            allergen: {
-                                type: "string",
-                                description: "The substance the patient is allergic to (e.g., 'Penicillin', 'Sulfa')"
-                            },
-                            reaction: {
-                                type: "string",
-                                description: "The type of reaction experienced (e.g., 'Hives', 'Difficulty breathing')"
-                            },
-                            severity: {
-                                type: "string",
-                                description: "Severity level of the allergy",
-                                enum: ["Mild", "Moderate", "Severe"]
-                            }
-                        },
-                        required: ["allergen", "reaction", "severity"]
-                    }
-                }
+    // Set the MCP tools available for function calling
+    setTools(tools) {
+        this.tools = tools || [];
+    }
+
+    // Build the OpenAI function calling definitions from the MCP tool schemas
+    getOpenAITools() {
+        return this.tools.map(tool => ({
+            type: "function",
+            function: {
+                name: tool.name,
+                description: tool.description,
+                parameters: tool.inputSchema || { type: "object", properties: {} }
             }
-        ];
+        }));
+    }
+
+    async callOpenAI(messages, provider, onChunk = null) {
+        const tools = this.getOpenAITools();
 
         const requestBody = {
             model: provider.model,
             messages: messages,
-            tools: tools,
-            tool_choice: "auto", // Let OpenAI decide when to use tools
             temperature: 0.7,
             max_tokens: 1000,
             stream: !!onChunk
         };
 
+        // OpenAI rejects an empty tools array, so only send tools once they are known
+        if (tools.length > 0) {
+            requestBody.tools = tools;
+            requestBody.tool_choice = "auto"; // Let OpenAI decide when to use tools
+        }
+
         const headers = {
             'Content-Type': 'application/json',
             'Authorization': `Bearer ${provider.apiKey}`
@@ -291,7 +229,10 @@ class LLMManager {
                     prompt += `Human: ${message.content}\n\n`;
                     break;
                 case 'assistant':
-                    prompt += `Assistant: ${message.content}\n\n`;
+                    prompt += `Assistant: ${message.content || ''}\n\n`;
+                    break;
+                case 'tool':
+                    prompt += `Tool Result: ${message.content}\n\n`;
                     break;
                 default:
                     prompt += `${message.content}\n\n`;
@@ -1,9 +1,65 @@
 // Medical Data Manager - Standalone version
 // Manages patient medical data, medications, allergies, and context
 
+import { LocalStorageAdapter, createStorageAdapter } from './storage-adapters.js';
+import { toFHIRBundle, fromFHIRBundle } from './fhir.js';
+import { findInteractions, toInteractionWarning } from './drug-interactions.js';
+import { findAllergyMatches, toAllergyWarning } from './allergy-cross-reactivity.js';
+import { parseSig } from './sig-parser.js';
+import { checkMedicationSafety } from './medical-safety.js';
+import { sameMedication } from './medication-names.js';
+import { createObservations, normalizeVitals, getLatest, getRange, getTrend, summarizeTrends, formatVitalValue } from './vitals.js';
+
+// Patient identifiers updatePatientInfo never changes
+const READ_ONLY_PATIENT_FIELDS = ['patientId', 'mrn'];
+
 export class MedicalDataManager {
-    constructor() {
-        this.patientData = {
+    constructor(options = {}) {
+        // Demographics of a real patient's chart (see patient-registry.js); without them the chart starts as the demo patient
+        this.initialPatientInfo = options.patientInfo || null;
+        this.patientData = this.createInitialData();
+        
+        this.lastUpdated = new Date().toISOString();
+        
+        // Persistence backend (see storage-adapters.js); localStorage unless configured otherwise
+        this.storage = options.storage || new LocalStorageAdapter();
+        this.storageKey = options.storageKey || 'medicalData';
+        this.historyKey = `${this.storageKey}History`;
+        this.pendingSave = Promise.resolve();
+        this.hasStoredData = false;
+        
+        // Listeners notified after every change (local or from the storage backend)
+        this.listeners = new Set();
+        
+        // Version history: every mutation is recorded as a change set that can be undone/redone
+        this.history = [];
+        this.redoStack = [];
+        this.version = 0;
+        this.maxHistory = 100;
+        
+        // Resolves once stored data has been loaded
+        this.ready = this.initializeFromStorage();
+        this.unsubscribeStorage = this.storage.subscribe(change => this.handleStorageChange(change));
+    }
+
+    // Chart used before anything is stored and by resetToDemo(): the demo patient, or an empty chart for a real patient
+    createInitialData() {
+        return this.initialPatientInfo ? this.createEmptyData(this.initialPatientInfo) : this.createDemoData();
+    }
+
+    createEmptyData(patientInfo) {
+        return this.normalizePatientData({
+            patientInfo: { ...patientInfo },
+            medications: [],
+            allergies: [],
+            conditions: [],
+            vitals: []
+        });
+    }
+
+    // Demo chart used on first run of the demo patient
+    createDemoData() {
+        return this.normalizePatientData({
             patientInfo: {
                 name: "Demo Patient",
                 age: 45,
@@ -57,42 +113,149 @@ export class MedicalDataManager {
                     diagnosisDate: "2024-02-01"
                 }
             ],
-            vitals: {
-                lastRecorded: "2024-08-18",
-                bloodPressure: "130/85",
-                heartRate: 72,
-                temperature: 98.6,
-                respiratoryRate: 16,
-                oxygenSaturation: 98
-            }
-        };
-        
-        this.lastUpdated = new Date().toISOString();
-        this.initializeFromStorage();
+            // Vital signs as timestamped observations (see vitals.js)
+            vitals: [
+                { id: "vital-001-bp", type: "bloodPressure", value: { systolic: 124, diastolic: 80 }, unit: "mmHg", recordedAt: "2024-04-15T09:30:00.000Z", source: "clinic" },
+                { id: "vital-001-hr", type: "heartRate", value: 68, unit: "bpm", recordedAt: "2024-04-15T09:30:00.000Z", source: "clinic" },
+                { id: "vital-002-bp", type: "bloodPressure", value: { systolic: 126, diastolic: 82 }, unit: "mmHg", recordedAt: "2024-05-20T10:00:00.000Z", source: "clinic" },
+                { id: "vital-002-hr", type: "heartRate", value: 70, unit: "bpm", recordedAt: "2024-05-20T10:00:00.000Z", source: "clinic" },
+                { id: "vital-003-bp", type: "bloodPressure", value: { systolic: 128, diastolic: 84 }, unit: "mmHg", recordedAt: "2024-06-18T09:15:00.000Z", source: "clinic" },
+                { id: "vital-003-hr", type: "heartRate", value: 71, unit: "bpm", recordedAt: "2024-06-18T09:15:00.000Z", source: "clinic" },
+                { id: "vital-004-bp", type: "bloodPressure", value: { systolic: 131, diastolic: 84 }, unit: "mmHg", recordedAt: "2024-07-16T11:00:00.000Z", source: "clinic" },
+                { id: "vital-004-hr", type: "heartRate", value: 74, unit: "bpm", recordedAt: "2024-07-16T11:00:00.000Z", source: "clinic" },
+                { id: "vital-005-bp", type: "bloodPressure", value: { systolic: 130, diastolic: 85 }, unit: "mmHg", recordedAt: "2024-08-18T09:45:00.000Z", source: "clinic" },
+                { id: "vital-005-hr", type: "heartRate", value: 72, unit: "bpm", recordedAt: "2024-08-18T09:45:00.000Z", source: "clinic" },
+                { id: "vital-005-temp", type: "temperature", value: 98.6, unit: "°F", recordedAt: "2024-08-18T09:45:00.000Z", source: "clinic" },
+                { id: "vital-005-rr", type: "respiratoryRate", value: 16, unit: "breaths/min", recordedAt: "2024-08-18T09:45:00.000Z", source: "clinic" },
+                { id: "vital-005-spo2", type: "oxygenSaturation", value: 98, unit: "%", recordedAt: "2024-08-18T09:45:00.000Z", source: "clinic" }
+            ]
+        });
     }
 
-    // Initialize data from localStorage if available
-    initializeFromStorage() {
+    // Load data and history from the storage backend, if anything is stored
+    async initializeFromStorage() {
         try {
-            const storedData = localStorage.getItem('medicalData');
+            const storedData = await this.storage.load(this.storageKey);
             if (storedData) {
-                const parsed = JSON.parse(storedData);
-                this.patientData = { ...this.patientData, ...parsed };
+                this.patientData = this.normalizePatientData({ ...this.createInitialData(), ...storedData });
                 console.log('Medical data loaded from storage');
             }
+            
+            const storedHistory = await this.storage.load(this.historyKey);
+            if (storedHistory) {
+                this.history = storedHistory.history || [];
+                this.redoStack = storedHistory.redoStack || [];
+                this.version = storedHistory.version || 0;
+            }
+            
+            this.hasStoredData = !!storedData;
+            return this.hasStoredData;
         } catch (error) {
             console.warn('Could not load medical data from storage:', error);
+            return false;
         }
     }
 
-    // Save data to localStorage
-    saveToStorage() {
-        try {
-            localStorage.setItem('medicalData', JSON.stringify(this.patientData));
+    // Persist data and history. With `sections`, only those top-level sections are written (partial update).
+    // Writes are queued so they reach the backend in order; returns a promise for this write.
+    saveToStorage(sections = null) {
+        this.lastUpdated = new Date().toISOString();
+        
+        // The first write to an empty backend stores the whole chart
+        const partial = this.hasStoredData && sections && sections.every(section => this.patientData[section] !== undefined);
+        this.hasStoredData = true;
+        const data = partial ? this.snapshot(sections) : JSON.parse(JSON.stringify(this.patientData));
+        const history = JSON.parse(JSON.stringify({
+            history: this.history,
+            redoStack: this.redoStack,
+            version: this.version
+        }));
+        
+        this.pendingSave = this.pendingSave.then(async () => {
+            try {
+                if (partial) {
+                    await this.storage.update(this.storageKey, data);
+                } else {
+                    await this.storage.save(this.storageKey, data);
+                }
+                await this.storage.save(this.historyKey, history);
+            } catch (error) {
+                console.warn('Could not save medical data to storage:', error);
+            }
+        });
+        
+        return this.pendingSave;
+    }
+
+    // Wait for queued writes to reach the storage backend
+    flush() {
+        return this.pendingSave;
+    }
+
+    // Switch storage backend. Data already stored there wins; an empty backend receives the current chart.
+    async setStorage(storage) {
+        await this.flush();
+        this.unsubscribeStorage?.();
+        
+        this.storage = storage;
+        this.ready = this.initializeFromStorage();
+        const hadData = await this.ready;
+        if (!hadData) {
+            await this.saveToStorage();
+        }
+        
+        this.unsubscribeStorage = this.storage.subscribe(change => this.handleStorageChange(change));
+        this.notifyChange({ type: 'storageChanged', sections: Object.keys(this.patientData), source: 'system' });
+    }
+
+    // Apply changes written to the backend by someone else (another tab, the host EHR)
+    handleStorageChange(change) {
+        if (!change.external) return;
+        
+        if (change.key === this.storageKey) {
+            this.patientData = change.value ? this.normalizePatientData({ ...this.createInitialData(), ...change.value }) : this.createInitialData();
             this.lastUpdated = new Date().toISOString();
-        } catch (error) {
-            console.warn('Could not save medical data to storage:', error);
+            this.notifyChange({ type: 'external', sections: Object.keys(change.value || {}), source: 'external' });
+        } else if (change.key === this.historyKey && change.value) {
+            this.history = change.value.history || [];
+            this.redoStack = change.value.redoStack || [];
+            this.version = change.value.version || 0;
+        }
+    }
+
+    // Subscribe to chart changes: listener({ type, sections, source, version, change }); returns unsubscribe
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notifyChange(event) {
+        const payload = { version: this.version, ...event };
+        this.listeners.forEach(listener => {
+            try {
+                listener(payload);
+            } catch (error) {
+                console.error('Medical data change listener failed:', error);
+            }
+        });
+    }
+
+    // Bring stored data from older versions up to the current shape
+    normalizePatientData(patientData) {
+        return {
+            ...patientData,
+            medications: (patientData.medications || []).map(med => this.withSig(med)),
+            vitals: normalizeVitals(patientData.vitals)
+        };
+    }
+
+    // Medication with its structured sig, re-parsed when missing or out of date with dose/frequency
+    withSig(medication) {
+        const text = [medication.dose, medication.frequency].filter(Boolean).join(' ').trim();
+        if (medication.sig && medication.sig.text === text) {
+            return medication;
         }
+        return { ...medication, sig: parseSig(medication.dose, medication.frequency) };
     }
 
     // Get complete patient context
@@ -102,7 +265,7 @@ export class MedicalDataManager {
             medications: this.patientData.medications.filter(med => med.status === 'active'),
             allergies: this.patientData.allergies,
             conditions: this.patientData.conditions.filter(cond => cond.status === 'active'),
-            vitals: this.patientData.vitals,
+            vitals: this.getVitalsSummary(),
             totalMedications: this.patientData.medications.filter(med => med.status === 'active').length,
             totalAllergies: this.patientData.allergies.length,
             totalConditions: this.patientData.conditions.filter(cond => cond.status === 'active').length,
@@ -111,7 +274,7 @@ export class MedicalDataManager {
     }
 
     // Add a new medication
-    addMedication(medicationData) {
+    addMedication(medicationData, options = {}) {
         try {
             const newMedication = {
                 id: this.generateId('med'),
@@ -124,15 +287,17 @@ export class MedicalDataManager {
                 status: 'active',
                 dateAdded: new Date().toISOString()
             };
+            newMedication.sig = parseSig(newMedication.dose, newMedication.frequency);
 
-            // Check for potential duplicates
-            const existingMed = this.patientData.medications.find(med => 
-                med.name.toLowerCase() === newMedication.name.toLowerCase() && 
+            // Check for potential duplicates, under any brand or regional name
+            const existingMed = this.patientData.medications.find(med =>
+                sameMedication(med.name, newMedication.name) &&
                 med.status === 'active'
             );
 
             if (existingMed) {
-                throw new Error(`Patient is already on ${newMedication.name}. Consider updating the existing medication instead.`);
+                const existing = existingMed.name.toLowerCase() === newMedication.name.toLowerCase() ? '' : ` (as ${existingMed.name})`;
+                throw new Error(`Patient is already on ${newMedication.name}${existing}. Consider updating the existing medication instead.`);
             }
 
             // Check for allergies
@@ -142,48 +307,46 @@ export class MedicalDataManager {
                 // Still allow but with warning
             }
 
+            // Major interactions block the change unless explicitly overridden
+            const interactions = this.checkInteractions(newMedication.name);
+            this.applyInteractionOverride(newMedication, interactions, options);
+            const safetyWarnings = this.checkSafety(newMedication);
+
+            const before = this.snapshot(['medications']);
             this.patientData.medications.push(newMedication);
-            this.saveToStorage();
+            this.recordChange('addMedication', before, options, `Added ${newMedication.name}`);
 
             return {
                 success: true,
                 medication: newMedication,
                 message: `Successfully added ${newMedication.name} ${newMedication.dose} ${newMedication.frequency}`,
-                warnings: allergyCheck.hasAllergy ? [`ALLERGY WARNING: Patient allergic to ${allergyCheck.allergen}`] : []
+                warnings: [...allergyCheck.matches.map(toAllergyWarning), ...interactions, ...safetyWarnings]
             };
 
         } catch (error) {
             return {
                 success: false,
-                error: error.message
+                error: error.message,
+                ...(error.warnings && { warnings: error.warnings })
             };
         }
     }
 
     // Discontinue a medication
-    discontinueMedication(medId) {
+    discontinueMedication(medId, options = {}) {
         try {
-            // Try to find by ID first, then by name
-            let medication = this.patientData.medications.find(med => 
-                med.id === medId && med.status === 'active'
-            );
-
-            if (!medication) {
-                // Try to find by medication name (case insensitive)
-                medication = this.patientData.medications.find(med => 
-                    med.name.toLowerCase() === medId.toLowerCase() && med.status === 'active'
-                );
-            }
+            const medication = this.findActiveMedication(medId);
 
             if (!medication) {
                 throw new Error(`Medication '${medId}' not found or already discontinued`);
             }
 
+            const before = this.snapshot(['medications']);
             medication.status = 'discontinued';
             medication.discontinueDate = new Date().toISOString().split('T')[0];
             medication.discontinueReason = 'Discontinued via AI Assistant';
 
-            this.saveToStorage();
+            this.recordChange('discontinueMedication', before, options, `Discontinued ${medication.name}`);
 
             return {
                 success: true,
@@ -204,8 +367,72 @@ export class MedicalDataManager {
         }
     }
 
+    // Edit an active medication (by ID or name)
+    editMedication(medId, updates, options = {}) {
+        try {
+            const medication = this.findActiveMedication(medId);
+
+            if (!medication) {
+                throw new Error(`Medication '${medId}' not found or already discontinued`);
+            }
+
+            const allowedFields = ['name', 'dose', 'frequency', 'indication', 'prescriber'];
+            const changes = {};
+            allowedFields.forEach(field => {
+                if (updates[field] !== undefined) {
+                    changes[field] = updates[field];
+                }
+            });
+
+            if (Object.keys(changes).length === 0) {
+                throw new Error('No medication fields to update');
+            }
+
+            // Renaming must not duplicate another active medication
+            if (changes.name && changes.name.toLowerCase() !== medication.name.toLowerCase()) {
+                const duplicate = this.patientData.medications.find(med =>
+                    med !== medication &&
+                    sameMedication(med.name, changes.name) &&
+                    med.status === 'active'
+                );
+                if (duplicate) {
+                    throw new Error(`Patient is already on ${changes.name}. Consider updating the existing medication instead.`);
+                }
+            }
+
+            const allergyCheck = changes.name ? this.checkAllergies(changes.name) : { hasAllergy: false, matches: [] };
+            const interactions = changes.name ? this.checkInteractions(changes.name, medication.id) : [];
+            const updated = { ...changes };
+            this.applyInteractionOverride(updated, interactions, options);
+            if (changes.dose !== undefined || changes.frequency !== undefined) {
+                updated.sig = parseSig(changes.dose ?? medication.dose, changes.frequency ?? medication.frequency);
+            }
+            const safetyWarnings = changes.name || updated.sig
+                ? this.checkSafety({ ...medication, ...updated }, medication.id)
+                : [];
+
+            const before = this.snapshot(['medications']);
+            Object.assign(medication, updated, { lastModified: new Date().toISOString() });
+            this.recordChange('editMedication', before, options, `Edited ${medication.name}`);
+
+            return {
+                success: true,
+                medication: { ...medication },
+                message: `Successfully updated ${medication.name}`,
+                warnings: [...allergyCheck.matches.map(toAllergyWarning), ...interactions, ...safetyWarnings]
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                ...(error.warnings && { warnings: error.warnings })
+            };
+        }
+    }
+
     // Add a new allergy
-    addAllergy(allergyData) {
+    addAllergy(allergyData, options = {}) {
         try {
             const newAllergy = {
                 id: this.generateId('allergy'),
@@ -217,26 +444,27 @@ export class MedicalDataManager {
             };
 
             // Check for duplicates
-            const existingAllergy = this.patientData.allergies.find(allergy => 
-                allergy.allergen.toLowerCase() === newAllergy.allergen.toLowerCase()
+            const existingAllergy = this.patientData.allergies.find(allergy =>
+                sameMedication(allergy.allergen, newAllergy.allergen)
             );
 
             if (existingAllergy) {
-                throw new Error(`Allergy to ${newAllergy.allergen} is already recorded`);
+                const existing = existingAllergy.allergen.toLowerCase() === newAllergy.allergen.toLowerCase() ? '' : ` (as ${existingAllergy.allergen})`;
+                throw new Error(`Allergy to ${newAllergy.allergen} is already recorded${existing}`);
             }
 
+            const before = this.snapshot(['allergies']);
             this.patientData.allergies.push(newAllergy);
-            this.saveToStorage();
+            this.recordChange('addAllergy', before, options, `Added allergy to ${newAllergy.allergen}`);
 
             // Check current medications for potential conflicts
-            const conflicts = this.checkMedicationAllergies(newAllergy.allergen);
+            const conflicts = this.checkMedicationAllergies(newAllergy);
 
             return {
                 success: true,
                 allergy: newAllergy,
                 message: `Successfully added allergy to ${newAllergy.allergen}`,
-                warnings: conflicts.length > 0 ? 
-                    [`WARNING: Patient currently taking medications that may conflict: ${conflicts.join(', ')}`] : []
+                warnings: conflicts.map(toAllergyWarning)
             };
 
         } catch (error) {
@@ -247,67 +475,71 @@ export class MedicalDataManager {
         }
     }
 
-    // Check for allergies against a medication
+    // Check a medication against recorded allergies, directly, by drug class and by cross-reactivity.
+    // hasAllergy is set for high cross-sensitivity matches; `matches` lists every match with its explanation.
     checkAllergies(medicationName) {
-        const med = medicationName.toLowerCase();
-        
-        for (const allergy of this.patientData.allergies) {
-            const allergen = allergy.allergen.toLowerCase();
-            
-            // Direct match
-            if (med.includes(allergen) || allergen.includes(med)) {
-                return {
-                    hasAllergy: true,
-                    allergen: allergy.allergen,
-                    reaction: allergy.reaction,
-                    severity: allergy.severity
-                };
-            }
-            
-            // Check for common drug class allergies
-            if (this.checkDrugClassAllergy(med, allergen)) {
-                return {
-                    hasAllergy: true,
-                    allergen: allergy.allergen,
-                    reaction: allergy.reaction,
-                    severity: allergy.severity
-                };
-            }
+        const matches = findAllergyMatches(medicationName, this.patientData.allergies);
+        const allergyMatch = matches.find(match => match.crossSensitivity === 'high');
+
+        if (allergyMatch) {
+            return {
+                hasAllergy: true,
+                allergen: allergyMatch.allergen,
+                reaction: allergyMatch.reaction,
+                severity: allergyMatch.severity,
+                explanation: allergyMatch.explanation,
+                matches: matches
+            };
         }
-        
-        return { hasAllergy: false };
+
+        return { hasAllergy: false, matches: matches };
     }
 
-    // Check for drug class allergies (basic implementation)
-    checkDrugClassAllergy(medication, allergen) {
-        const drugClasses = {
-            'penicillin': ['amoxicillin', 'ampicillin', 'penicillin'],
-            'sulfa': ['sulfamethoxazole', 'sulfasalazine'],
-            'nsaid': ['ibuprofen', 'naproxen', 'aspirin', 'celecoxib']
-        };
+    // Check current medications against a newly recorded allergy (an allergy record or allergen name)
+    checkMedicationAllergies(newAllergy) {
+        const allergy = typeof newAllergy === 'string' ? { allergen: newAllergy } : newAllergy;
 
-        for (const [classType, drugs] of Object.entries(drugClasses)) {
-            if (allergen.includes(classType)) {
-                return drugs.some(drug => medication.includes(drug));
-            }
-        }
-        
-        return false;
+        return this.patientData.medications
+            .filter(med => med.status === 'active')
+            .flatMap(med => findAllergyMatches(med.name, [allergy]));
     }
 
-    // Check current medications for allergy conflicts
-    checkMedicationAllergies(newAllergen) {
-        const conflicts = [];
-        const activeMeds = this.patientData.medications.filter(med => med.status === 'active');
-        
-        for (const med of activeMeds) {
-            const allergyCheck = this.checkAllergies(med.name);
-            if (allergyCheck.hasAllergy && allergyCheck.allergen.toLowerCase() === newAllergen.toLowerCase()) {
-                conflicts.push(med.name);
-            }
+    // Interactions between a medication and the other active medications, as structured warnings
+    checkInteractions(medicationName, excludeId) {
+        const otherMedications = this.patientData.medications
+            .filter(med => med.status === 'active' && med.id !== excludeId)
+            .map(med => med.name);
+
+        return findInteractions(medicationName, otherMedications).map(toInteractionWarning);
+    }
+
+    // Daily-dose limit and duplicate-therapy warnings for a medication against the other active
+    // medications. These never block the change; they are returned for the clinician to review.
+    checkSafety(medication, excludeId) {
+        const otherMedications = this.patientData.medications
+            .filter(med => med.status === 'active' && med.id !== excludeId);
+
+        return checkMedicationSafety(medication, otherMedications);
+    }
+
+    // Throw if there are major interactions and options.overrideInteractions is not set;
+    // an override is recorded on the medication so the decision stays on the chart
+    applyInteractionOverride(medication, interactions, options) {
+        const major = interactions.filter(warning => warning.severity === 'major');
+        if (major.length === 0) return;
+
+        if (!options.overrideInteractions) {
+            const error = new Error(`${major.map(warning => warning.message).join(' ')} Not saved: major interactions require a clinician override.`);
+            error.warnings = interactions;
+            throw error;
         }
-        
-        return conflicts;
+
+        medication.interactionOverride = {
+            interactions: major.map(warning => warning.drugs.join(' + ')),
+            reason: options.overrideReason || 'Not specified',
+            overriddenBy: options.overriddenBy || options.source || 'user',
+            overriddenAt: new Date().toISOString()
+        };
     }
 
     // Generate unique IDs
@@ -319,10 +551,18 @@ export class MedicalDataManager {
 
     // Get medication by ID or name
     getMedication(identifier) {
-        return this.patientData.medications.find(med => 
-            med.id === identifier || 
-            med.name.toLowerCase() === identifier.toLowerCase()
-        );
+        return this.patientData.medications.find(med => med.id === identifier) ||
+            this.patientData.medications.find(med => med.name.toLowerCase() === identifier.toLowerCase()) ||
+            this.patientData.medications.find(med => sameMedication(med.name, identifier));
+    }
+
+    // Find an active medication by ID, by name, or by another name for the same drug
+    // ("Tylenol" finds a record saved as "Acetaminophen")
+    findActiveMedication(identifier) {
+        const active = this.patientData.medications.filter(med => med.status === 'active');
+        return active.find(med => med.id === identifier) ||
+            active.find(med => med.name.toLowerCase() === identifier.toLowerCase()) ||
+            active.find(med => sameMedication(med.name, identifier));
     }
 
     // Get allergy by ID or allergen name
@@ -333,11 +573,105 @@ export class MedicalDataManager {
         );
     }
 
-    // Update patient information
-    updatePatientInfo(updates) {
+    // Get condition by ID, name or ICD-10 code
+    getCondition(identifier, status = 'active') {
+        const id = identifier.toLowerCase();
+        return this.patientData.conditions.find(condition =>
+            (status === 'all' || condition.status === status) &&
+            (condition.id === identifier ||
+                condition.name.toLowerCase() === id ||
+                (condition.icd10 && condition.icd10.toLowerCase() === id))
+        );
+    }
+
+    // List conditions by status ('active', 'resolved' or 'all')
+    getConditions(status = 'active') {
+        return this.patientData.conditions.filter(condition => status === 'all' || condition.status === status);
+    }
+
+    // Add a new condition to the problem list
+    addCondition(conditionData, options = {}) {
+        try {
+            const newCondition = {
+                id: this.generateId('cond'),
+                name: conditionData.name,
+                icd10: conditionData.icd10 ? conditionData.icd10.toUpperCase() : undefined,
+                status: 'active',
+                diagnosisDate: conditionData.diagnosisDate || new Date().toISOString().split('T')[0],
+                recordedBy: options.source === 'ai' ? 'AI Assistant' : (conditionData.recordedBy || 'System')
+            };
+
+            // Check for duplicates by ICD-10 code or name
+            const existingCondition = this.patientData.conditions.find(condition =>
+                condition.status === 'active' &&
+                ((newCondition.icd10 && condition.icd10 === newCondition.icd10) ||
+                    condition.name.toLowerCase() === newCondition.name.toLowerCase())
+            );
+
+            if (existingCondition) {
+                throw new Error(`${existingCondition.name}${existingCondition.icd10 ? ` (${existingCondition.icd10})` : ''} is already on the active problem list`);
+            }
+
+            const before = this.snapshot(['conditions']);
+            this.patientData.conditions.push(newCondition);
+            this.recordChange('addCondition', before, options, `Added condition ${newCondition.name}`);
+
+            return {
+                success: true,
+                condition: newCondition,
+                message: `Successfully added ${newCondition.name}${newCondition.icd10 ? ` (${newCondition.icd10})` : ''} to the problem list`
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // Mark an active condition (by ID, name or ICD-10 code) as resolved
+    resolveCondition(identifier, options = {}) {
+        try {
+            const condition = this.getCondition(identifier);
+
+            if (!condition) {
+                throw new Error(`Active condition '${identifier}' not found`);
+            }
+
+            const before = this.snapshot(['conditions']);
+            condition.status = 'resolved';
+            condition.resolvedDate = options.resolvedDate || new Date().toISOString().split('T')[0];
+            this.recordChange('resolveCondition', before, options, `Resolved condition ${condition.name}`);
+
+            return {
+                success: true,
+                condition: { ...condition },
+                message: `Successfully resolved ${condition.name}`
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // Update patient information. The identifiers (patientId, mrn) are read-only: they find the
+    // patient's chart (see patient-registry.js), so changing them could open one patient's chart for another
+    updatePatientInfo(updates, options = {}) {
         try {
+            const changed = READ_ONLY_PATIENT_FIELDS.filter(field =>
+                updates[field] !== undefined && updates[field] !== this.patientData.patientInfo?.[field]
+            );
+            if (changed.length > 0) {
+                throw new Error(`${changed.join(' and ')} cannot be changed; they identify the patient's chart`);
+            }
+            
+            const before = this.snapshot(['patientInfo']);
             this.patientData.patientInfo = { ...this.patientData.patientInfo, ...updates };
-            this.saveToStorage();
+            this.recordChange('updatePatientInfo', before, options, 'Updated patient information');
             
             return {
                 success: true,
@@ -352,20 +686,25 @@ export class MedicalDataManager {
         }
     }
 
-    // Add vital signs
-    updateVitals(vitalsData) {
+    // Record a set of vital signs taken together, e.g. { bloodPressure: '140/90', heartRate: 80, recordedAt, source }.
+    // Each value is stored as a new observation; earlier readings are kept.
+    updateVitals(vitalsData, options = {}) {
         try {
-            this.patientData.vitals = {
-                ...this.patientData.vitals,
-                ...vitalsData,
-                lastRecorded: new Date().toISOString().split('T')[0]
-            };
-            this.saveToStorage();
+            const observations = createObservations(vitalsData, {
+                source: options.source,
+                generateId: (type) => this.generateId(`vital-${type}`)
+            });
+            
+            const before = this.snapshot(['vitals']);
+            this.patientData.vitals.push(...observations);
+            const recorded = observations.map(observation => `${observation.type} ${formatVitalValue(observation)}`).join(', ');
+            this.recordChange('updateVitals', before, options, `Recorded vitals: ${recorded}`);
             
             return {
                 success: true,
-                vitals: this.patientData.vitals,
-                message: 'Vital signs updated successfully'
+                vitals: this.getVitalsSummary(),
+                observations: observations,
+                message: `Vital signs recorded (${recorded})`
             };
         } catch (error) {
             return {
@@ -375,6 +714,49 @@ export class MedicalDataManager {
         }
     }
 
+    // Latest observation of every vital sign type
+    getLatestVitals() {
+        return getLatest(this.patientData.vitals);
+    }
+
+    // Observations of a type (or all types when type is omitted) between two dates, oldest first
+    getVitalsRange(type, from, to) {
+        return getRange(this.patientData.vitals, type, from, to);
+    }
+
+    // Trend of one vital sign over its last readings ({ readings, from, to } options)
+    getVitalsTrend(type, options = {}) {
+        return getTrend(this.patientData.vitals, type, options);
+    }
+
+    // Latest values in the flat shape used before vitals became a time series, plus trends
+    getVitalsSummary() {
+        const latest = this.getLatestVitals();
+        const summary = {};
+        let lastRecorded = null;
+
+        Object.entries(latest).forEach(([type, observation]) => {
+            summary[type] = type === 'bloodPressure' ? formatVitalValue(observation) : observation.value;
+            if (!lastRecorded || observation.recordedAt > lastRecorded) {
+                lastRecorded = observation.recordedAt;
+            }
+        });
+
+        const trends = {};
+        Object.keys(latest).forEach(type => {
+            const trend = this.getVitalsTrend(type);
+            if (trend) trends[type] = trend;
+        });
+
+        return {
+            ...summary,
+            lastRecorded: lastRecorded ? lastRecorded.split('T')[0] : null,
+            units: Object.fromEntries(Object.entries(latest).map(([type, observation]) => [type, observation.unit])),
+            trends: trends,
+            trendSummary: summarizeTrends(this.patientData.vitals) || 'Not enough readings for a trend'
+        };
+    }
+
     // Export data for backup or transfer
     exportData() {
         return {
@@ -385,11 +767,16 @@ export class MedicalDataManager {
     }
 
     // Import data from backup
-    importData(importedData) {
+    importData(importedData, options = {}) {
         try {
             if (importedData.patientData) {
-                this.patientData = importedData.patientData;
-                this.saveToStorage();
+                const sections = [...new Set([
+                    ...Object.keys(this.patientData),
+                    ...Object.keys(importedData.patientData)
+                ])];
+                const before = this.snapshot(sections);
+                this.patientData = this.normalizePatientData(importedData.patientData);
+                this.recordChange('importData', before, options, 'Imported patient data');
                 return {
                     success: true,
                     message: 'Data imported successfully'
@@ -405,13 +792,273 @@ export class MedicalDataManager {
         }
     }
 
-    // Reset to demo data
+    // Export the chart as a FHIR R4 Bundle (Patient, MedicationStatement, AllergyIntolerance, Condition, Observation)
+    exportFHIR() {
+        return toFHIRBundle(this.patientData);
+    }
+
+    // Replace the chart with the contents of a FHIR R4 Bundle; resources that could not be mapped are returned in `unmapped`
+    importFHIR(bundle, options = {}) {
+        try {
+            const { patientData, unmapped } = fromFHIRBundle(bundle);
+            const result = this.importData({ patientData }, options);
+            if (!result.success) {
+                return result;
+            }
+
+            const counts = `${patientData.medications.length} medications, ${patientData.allergies.length} allergies, ${patientData.conditions.length} conditions`;
+            return {
+                success: true,
+                message: `FHIR bundle imported (${counts})${unmapped.length ? `; ${unmapped.length} resource(s) not mapped` : ''}`,
+                unmapped: unmapped
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // Replace the chart with the record pushed by the host EHR, which is the source of truth (see parsePatientContext).
+    // The record becomes the new baseline: earlier changes can no longer be undone over it.
+    loadPatientContext(context, options = {}) {
+        try {
+            const { patientData, unmapped } = parsePatientContext(context);
+            
+            // A record identified only by MRN keeps the chart's patientId
+            const patientInfo = { ...patientData.patientInfo };
+            patientInfo.patientId = patientInfo.patientId || this.patientData.patientInfo?.patientId;
+            
+            this.patientData = this.normalizePatientData({ ...patientData, patientInfo });
+            this.history = [];
+            this.redoStack = [];
+            this.version += 1;
+            this.saveToStorage();
+            this.notifyChange({ type: 'hostContext', sections: Object.keys(this.patientData), source: options.source || 'host' });
+            
+            const counts = `${this.patientData.medications.length} medications, ${this.patientData.allergies.length} allergies, ${this.patientData.conditions.length} conditions`;
+            return {
+                success: true,
+                message: `Patient record loaded (${counts})${unmapped.length ? `; ${unmapped.length} resource(s) not mapped` : ''}`,
+                unmapped: unmapped
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // Deep copy of the given top-level sections of patientData (missing sections are recorded as null)
+    snapshot(sections) {
+        const copy = {};
+        sections.forEach(section => {
+            copy[section] = this.patientData[section] === undefined
+                ? null
+                : JSON.parse(JSON.stringify(this.patientData[section]));
+        });
+        return copy;
+    }
+
+    // Restore sections from a snapshot
+    restoreSnapshot(sections) {
+        Object.entries(sections).forEach(([section, value]) => {
+            if (value === null) {
+                delete this.patientData[section];
+            } else {
+                this.patientData[section] = JSON.parse(JSON.stringify(value));
+            }
+            
+            // History recorded before vitals became a time series holds the old snapshot shape
+            if (section === 'vitals') {
+                this.patientData.vitals = normalizeVitals(this.patientData.vitals);
+            }
+        });
+    }
+
+    // Record a versioned change set for a mutation that has just been applied.
+    // options.source tags who initiated it ('user', 'ai', 'host', ...)
+    recordChange(action, before, options = {}, description = '') {
+        this.version += 1;
+        
+        const changeSet = {
+            id: `change-${this.version}`,
+            version: this.version,
+            action: action,
+            source: options.source || 'user',
+            description: description,
+            timestamp: new Date().toISOString(),
+            before: before,
+            after: this.snapshot(Object.keys(before))
+        };
+        
+        this.history.push(changeSet);
+        if (this.history.length > this.maxHistory) {
+            this.history.shift();
+        }
+        
+        // A new change invalidates anything that was undone before it
+        this.redoStack = [];
+        
+        this.saveToStorage(Object.keys(before));
+        this.notifyChange({ type: action, sections: Object.keys(before), source: changeSet.source, change: this.summarizeChange(changeSet) });
+        
+        return changeSet;
+    }
+
+    // Undo the most recent change, or the most recent change from options.source.
+    // A change cannot be undone while a later change touches the same data.
+    undo(options = {}) {
+        try {
+            const index = options.source
+                ? this.history.map(change => change.source).lastIndexOf(options.source)
+                : this.history.length - 1;
+
+            if (index === -1) {
+                throw new Error(options.source ? `No ${options.source} changes to undo` : 'Nothing to undo');
+            }
+
+            const changeSet = this.history[index];
+            const sections = Object.keys(changeSet.before);
+            const laterConflict = this.history.slice(index + 1).find(change =>
+                Object.keys(change.before).some(section => sections.includes(section))
+            );
+
+            if (laterConflict) {
+                throw new Error(`Cannot undo "${changeSet.description}": it was followed by "${laterConflict.description}"`);
+            }
+
+            this.restoreSnapshot(changeSet.before);
+            this.history.splice(index, 1);
+            this.redoStack.push(changeSet);
+            this.saveToStorage(sections);
+            this.notifyChange({ type: 'undo', sections, source: options.source || 'user', change: this.summarizeChange(changeSet) });
+
+            return {
+                success: true,
+                change: this.summarizeChange(changeSet),
+                message: `Undid: ${changeSet.description}`
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // Re-apply the most recently undone change
+    redo() {
+        try {
+            const changeSet = this.redoStack.pop();
+            if (!changeSet) {
+                throw new Error('Nothing to redo');
+            }
+
+            this.restoreSnapshot(changeSet.after);
+            this.history.push(changeSet);
+            const sections = Object.keys(changeSet.after);
+            this.saveToStorage(sections);
+            this.notifyChange({ type: 'redo', sections, source: 'user', change: this.summarizeChange(changeSet) });
+
+            return {
+                success: true,
+                change: this.summarizeChange(changeSet),
+                message: `Redid: ${changeSet.description}`
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // Change history, oldest first (snapshots omitted unless options.includeSnapshots)
+    getHistory(options = {}) {
+        const entries = options.includeSnapshots
+            ? JSON.parse(JSON.stringify(this.history))
+            : this.history.map(change => this.summarizeChange(change));
+
+        return {
+            version: this.version,
+            changes: entries,
+            canUndo: this.history.length > 0,
+            canRedo: this.redoStack.length > 0
+        };
+    }
+
+    summarizeChange(changeSet) {
+        return {
+            id: changeSet.id,
+            version: changeSet.version,
+            action: changeSet.action,
+            source: changeSet.source,
+            description: changeSet.description,
+            timestamp: changeSet.timestamp,
+            sections: Object.keys(changeSet.before)
+        };
+    }
+
+    // Reset to the initial chart (demo data for the demo patient, an empty chart otherwise)
     resetToDemo() {
-        localStorage.removeItem('medicalData');
-        this.constructor();
+        this.patientData = this.createInitialData();
+        this.history = [];
+        this.redoStack = [];
+        this.version = 0;
+        this.saveToStorage();
+        this.notifyChange({ type: 'reset', sections: Object.keys(this.patientData), source: 'user' });
         return {
             success: true,
             message: 'Data reset to demo state'
         };
     }
 }
+
+// Patient record sent by a host: a FHIR R4 Bundle (or a lone Patient resource), { patientData } as
+// produced by exportData(), or patientData itself; JSON text is accepted too. Returns { patientData, unmapped }
+export function parsePatientContext(context) {
+    const value = typeof context === 'string' ? JSON.parse(context) : context;
+    
+    if (value?.resourceType === 'Patient') {
+        return fromFHIRBundle({ resourceType: 'Bundle', type: 'collection', entry: [{ resource: value }] });
+    }
+    if (value?.resourceType) {
+        return fromFHIRBundle(value);
+    }
+    
+    const patientData = value?.patientData || value;
+    if (!patientData?.patientInfo) {
+        throw new Error('Expected a FHIR Bundle or patient data with patientInfo');
+    }
+    return {
+        patientData: {
+            medications: [],
+            allergies: [],
+            conditions: [],
+            vitals: [],
+            ...JSON.parse(JSON.stringify(patientData))
+        },
+        unmapped: []
+    };
+}
+
+// Shared store for the MCP server tools and the chat UI in this window.
+// The backend can be chosen with the medical_storage_backend / medical_storage_url localStorage settings.
+function createDefaultStorage() {
+    const backend = localStorage.getItem('medical_storage_backend') || 'local';
+    try {
+        return createStorageAdapter(backend, { baseUrl: localStorage.getItem('medical_storage_url') || undefined });
+    } catch (error) {
+        console.warn(`Could not create ${backend} storage, falling back to localStorage:`, error);
+        return new LocalStorageAdapter();
+    }
+}
+
+export const medicalDataStore = new MedicalDataManager({ storage: createDefaultStorage() });
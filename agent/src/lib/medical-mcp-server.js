@@ -1,37 +1,47 @@
 // Medical MCP Server - Proper MCP implementation using Model Context Protocol SDK
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
-// import { Server } from '@modelcontextprotocol/sdk/server/index.js';
-import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
-import { z } from 'zod';
-
-// Schema definitions for medication data
-const medicationSchema = z.object({
-    name: z.string().describe("Name of the medication"),
-    dose: z.string().describe("Dosage of the medication (e.g., '10mg', '500mg')"),
-    frequency: z.string().describe("How often to take the medication (e.g., 'once daily', 'twice daily')"),
-    indication: z.string().optional().describe("Reason for prescribing (optional)")
-});
+import { PostMessageTransport } from './postmessage-transport.js';
+import { medicalToolRegistry } from './medical-tools.js';
+import { auditLog } from './audit-log.js';
+import { patientRegistry } from './patient-registry.js';
+import { acceptIframeMessage, getTrustedOrigins, getParentOrigin, postToParent, postToSelf, replyToHost } from './message-security.js';
+import { APPROVED, requiresApproval, callerApproval } from './approval-policy.js';
 
-const editMedicationSchema = z.object({
-    medId: z.string().describe("ID or name of the medication to edit"),
-    updates: z.object({
-        name: z.string().optional().describe("New name of the medication"),
-        dose: z.string().optional().describe("New dosage of the medication"),
-        frequency: z.string().optional().describe("New frequency for the medication"),
-        indication: z.string().optional().describe("New indication for the medication")
-    }).describe("Updates to apply to the medication")
-});
+export class MedicalMCPServer {
+    constructor(options = {}) {
+        // Tool declarations (schemas, handlers, formatters)
+        this.registry = options.registry || medicalToolRegistry;
+        
+        // Hash-chained record of every tool call
+        this.auditLog = options.auditLog || auditLog;
+        
+        this.server = this.createServer('agent');
+        
+        // Connected MCP sessions (one SDK Server per transport)
+        this.connections = [];
+        
+        // Patient charts; tools read and write the active patient's chart (see dataStore)
+        this.patients = options.patients || patientRegistry;
+        this.fixedDataStore = options.dataStore || null;
+        
+        this.setupEventListeners();
+        this.requestCounter = 0;
+    }
 
-const allergySchema = z.object({
-    allergen: z.string().describe("The substance the patient is allergic to"),
-    reaction: z.string().optional().describe("The type of reaction"),
-    severity: z.enum(["Mild", "Moderate", "Severe"]).optional().describe("Severity of the allergic reaction")
-});
+    // Chart of the active patient (MedicalDataManager interface), or the chart passed as options.dataStore
+    get dataStore() {
+        return this.fixedDataStore || this.patients.getActive();
+    }
 
-class MedicalMCPServer {
-    constructor() {
-        this.server = new Server(
+    getActivePatientId() {
+        return this.fixedDataStore ? this.fixedDataStore.patientData.patientInfo?.patientId : this.patients.getActivePatientId();
+    }
+
+    // Create an SDK Server with the medical tool handlers registered.
+    // channel names the connection in the audit log ('agent', 'host', ...)
+    createServer(channel) {
+        const server = new Server(
             {
                 name: "medical-server",
                 version: "1.0.0"
@@ -42,96 +52,93 @@ class MedicalMCPServer {
                 }
             }
         );
-        
-        // Local medical data storage
-        this.localMedications = [];
-        this.localAllergies = [];
-        this.patientInfo = {
-            patientId: "PAT-12345",
-            name: "John Doe",
-            age: 65
-        };
-        
-        this.setupTools();
-        this.setupEventListeners();
-        this.requestCounter = 0;
-        
-        // Store available tools definition
-        this.toolsDefinition = [
-            {
-                name: "addMedication",
-                description: "Add a new medication to patient records with proper validation and allergy checking",
-                inputSchema: medicationSchema
-            },
-            {
-                name: "editMedication", 
-                description: "Edit an existing medication in patient records with conflict validation",
-                inputSchema: editMedicationSchema
-            },
-            {
-                name: "getContext",
-                description: "Get current patient context including medications, allergies, and conditions",
-                inputSchema: z.object({})
-            },
-            {
-                name: "discontinueMedication",
-                description: "Discontinue an existing medication from patient records",
-                inputSchema: z.object({
-                    medId: z.string().describe("ID or name of medication to discontinue")
-                })
-            },
-            {
-                name: "addAllergy",
-                description: "Add a new allergy to patient records",
-                inputSchema: allergySchema
-            }
-        ];
+
+        this.setupTools(server, channel);
+        return server;
     }
 
-    setupTools() {
+    setupTools(server, channel) {
         // Register tools list handler
-        this.server.setRequestHandler(ListToolsRequestSchema, async () => {
+        server.setRequestHandler(ListToolsRequestSchema, async () => {
             return {
-                tools: this.toolsDefinition
+                tools: this.getTools()
             };
         });
 
         // Register tool call handler
-        // this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-        //     const { name, arguments: args } = request.params;
-            
-        //     try {
-        //         switch (name) {
-        //             case "addMedication":
-        //                 return await this.executeAddMedication(args);
-        //             case "editMedication":
-        //                 return await this.executeEditMedication(args);
-        //             case "getContext":
-        //                 return await this.executeGetContext(args);
-        //             case "discontinueMedication":
-        //                 return await this.executeDiscontinueMedication(args);
-        //             case "addAllergy":
-        //                 return await this.executeAddAllergy(args);
-        //             default:
-        //                 throw new Error(`Unknown tool: ${name}`);
-        //         }
-        //     } catch (error) {
-        //         return {
-        //             content: [
-        //                 {
-        //                     type: "text",
-        //                     text: `Error executing ${name}: ${error.message}`
-        //                 }
-        //             ],
-        //             isError: true
-        //         };
-        //     }
-        // });
+        // Callers describe the request (who asked, prompt, provider, model) in _meta.audit.
+        // Approval is never taken as claimed: see callerApproval in approval-policy.js
+        server.setRequestHandler(CallToolRequestSchema, async (request) => {
+            const { name, arguments: args, _meta } = request.params;
+            const { approval, approvedBy, ...audit } = _meta?.audit || {};
+            const result = await this.executeTool(name, args || {}, { ...audit, ...callerApproval(_meta?.audit, channel), channel });
+            return this.toCallToolResult(result);
+        });
+    }
+
+    // Connect an MCP transport (e.g. PostMessageTransport) to the medical tools.
+    // The SDK Server handles one transport at a time, so each extra connection gets its own Server.
+    // this.server serves the 'agent' channel; the channel decides who may approve chart changes.
+    async connect(transport, channel = 'agent') {
+        const reuse = channel === 'agent' && !this.connections.some(connection => connection.server === this.server);
+        const server = reuse ? this.server : this.createServer(channel);
+        await server.connect(transport);
+        this.connections.push({ server, transport, channel });
+        return server;
+    }
+
+    // Convert an internal tool result into an MCP CallToolResult
+    toCallToolResult(result) {
+        if (!result.success) {
+            return {
+                content: [
+                    {
+                        type: "text",
+                        text: `Error: ${result.error}`
+                    }
+                ],
+                structuredContent: {
+                    success: false,
+                    error: result.error,
+                    ...(result.warnings && { warnings: result.warnings }),
+                    ...(result.auditError && { auditError: result.auditError })
+                },
+                isError: true
+            };
+        }
+
+        const content = [
+            {
+                type: "text",
+                text: result.message
+            }
+        ];
+
+        if (result.data !== undefined) {
+            content.push({
+                type: "text",
+                text: JSON.stringify(result.data, null, 2)
+            });
+        }
+
+        return {
+            content,
+            structuredContent: {
+                success: true,
+                data: result.data,
+                message: result.message,
+                ...(result.auditError && { auditError: result.auditError })
+            },
+            isError: false
+        };
     }
 
     setupEventListeners() {
         // Setup message listener for requests from MCP Client (Ozwell iframe)
         window.addEventListener('message', (event) => {
+            // Only this window and a trusted parent page, with a valid envelope (see message-security.js)
+            if (!acceptIframeMessage(event)) return;
+            
             console.log('MCP Server received message:', event.data);
 
             // FILTER: Ignore messages that MCP Server sent
@@ -139,362 +146,148 @@ class MedicalMCPServer {
                 return; // These are sent BY MCP Server, not TO MCP Server
             }
             
+            // JSON-RPC frames are handled by the connected PostMessageTransports
+            if (event.data.type === 'mcp-jsonrpc') {
+                return;
+            }
+            
             switch (event.data.type) {
                 case 'mcp-get-tools':
                     // Send available tools to MCP Client
                     this.sendAvailableTools();
                     break;
                 case 'mcp-log':
-                    window.parent.postMessage({
-                        type: 'mcp-log-reponse',
+                    postToParent({
+                        type: 'mcp-log-response',
                         source: 'mcp-server',
                         message: event.data.message,
                         data: event.data.data || null,
                         timestamp: new Date().toISOString()
-                    }, '*');
+                    });
                     break;
                     
-                case 'mcp-execute-tool':
-                    // Execute tool requested by MCP Client
+                case 'mcp-execute-tool': {
+                    // Legacy, this window only: execute tool requested via custom message (superseded by tools/call)
                     const { requestId, toolName, parameters } = event.data;
                     this.handleToolExecution(toolName, parameters, requestId);
                     break;
+                }
+                    
+                case 'set-active-patient':
+                    // Embed API (parent page only): select the patient whose chart the assistant works on
+                    this.handleSetActivePatient(event.data);
+                    break;
                     
-                case 'request-tools-context':
-                    // Respond with available tools
-                    event.source.postMessage({
-                        type: 'tools-context',
-                        tools: this.getTools()
-                    }, '*');
+                case 'set-patient-context':
+                    // Embed API (parent page only): load the host's patient record (FHIR Bundle or JSON) as the chart's source of truth
+                    this.handleSetPatientContext(event.data);
                     break;
                     
+                case 'execute-tool':
+                    this.handleHostToolCall(event.data);
+                    break;
+                    
+                case 'get-patient-context':
+                    this.handleGetPatientContext(event.data);
+                    break;
+                    
+                case 'request-tools-context': {
+                    // Respond with available tools, in the direction the request came from
+                    const reply = { type: 'tools-context', tools: this.getTools() };
+                    if (event.source === window) {
+                        postToSelf(reply);
+                    } else {
+                        postToParent(reply);
+                    }
+                    break;
+                }
+                    
                 default:
                     console.log('MCP Server: Unknown message type:', event.data.type);
             }
         });
     }
 
-    async executeAddMedication(args, requestId = null) {
-        console.log('MCP Server: executing addMedication with:', args);
-        
-        try {
-            // Validate input
-            const validatedArgs = medicationSchema.parse(args);
-            
-            // Validate required fields
-            if (!validatedArgs.name || !validatedArgs.dose || !validatedArgs.frequency) {
-                throw new Error("Missing required fields: name, dose, and frequency are required");
-            }
-
-            // Check for drug allergies
-            const allergyMatch = this.localAllergies.find(allergy => 
-                validatedArgs.name.toLowerCase().includes(allergy.allergen.toLowerCase()) ||
-                allergy.allergen.toLowerCase().includes(validatedArgs.name.toLowerCase())
-            );
-            
-            if (allergyMatch) {
-                throw new Error(`Cannot add ${validatedArgs.name}: Patient is allergic to ${allergyMatch.allergen} (${allergyMatch.severity} reaction)`);
-            }
-
-            // Check if medication already exists
-            const existingMed = this.localMedications.find(med => 
-                med.name.toLowerCase() === validatedArgs.name.toLowerCase()
-            );
-            
-            if (existingMed) {
-                throw new Error(`Medication ${validatedArgs.name} is already in the patient's medication list`);
-            }
-            
-            // Create new medication
-            const newMed = {
-                id: `med-${Date.now()}`,
-                name: validatedArgs.name,
-                dose: validatedArgs.dose,
-                frequency: validatedArgs.frequency,
-                indication: validatedArgs.indication || "Not specified",
-                startDate: new Date().toISOString().split('T')[0]
-            };
-
-            // Add to local storage
-            this.localMedications.push(newMed);
-            
-            const successMessage = `Successfully added ${validatedArgs.name} ${validatedArgs.dose} ${validatedArgs.frequency} to medication list`;
-            
-            // Send response to MCP Client via postMessage
-            this.sendToolResponse('addMedication', {
-                success: true,
-                data: newMed,
-                message: successMessage
-            }, requestId);
-            
-            return {
-                content: [
-                    {
-                        type: "text",
-                        text: successMessage
-                    }
-                ],
-                isError: false
-            };
-            
-        } catch (error) {
-            const errorMessage = error.message;
-            
-            // Send error response to MCP Client
-            this.sendToolResponse('addMedication', {
-                success: false,
-                error: errorMessage
-            }, requestId);
-            
-            return {
-                content: [
-                    {
-                        type: "text",
-                        text: `Error: ${errorMessage}`
-                    }
-                ],
-                isError: true
-            };
-        }
+    // Switch the active patient and answer the host with 'active-patient-changed' (or an error frame)
+    async handleSetActivePatient(data) {
+        const result = await this.patients.setActivePatient(data.patient, { source: 'host' });
+        this.logToParent(result.success ? result.message : `Could not select patient: ${result.error}`);
+        replyToHost(data.requestId, 'active-patient-changed', result);
     }
 
-    async executeEditMedication(args, requestId = null) {
-        console.log('MCP Server: executing editMedication with:', args);
-        
-        try {
-            const validatedArgs = editMedicationSchema.parse(args);
-            
-            // Find medication to edit
-            const medIndex = this.localMedications.findIndex(med => 
-                med.id === validatedArgs.medId || 
-                med.name.toLowerCase() === validatedArgs.medId.toLowerCase()
-            );
-            
-            if (medIndex === -1) {
-                throw new Error(`Medication ${validatedArgs.medId} not found`);
-            }
-            
-            // Update medication
-            const updatedMed = { ...this.localMedications[medIndex], ...validatedArgs.updates };
-            this.localMedications[medIndex] = updatedMed;
-            
-            const successMessage = `Successfully updated ${updatedMed.name}`;
-            
-            this.sendToolResponse('editMedication', {
-                success: true,
-                data: updatedMed,
-                message: successMessage
-            }, requestId);
-            
-            return {
-                content: [
-                    {
-                        type: "text",
-                        text: successMessage
-                    }
-                ],
-                isError: false
-            };
-            
-        } catch (error) {
-            const errorMessage = error.message;
-            
-            this.sendToolResponse('editMedication', {
-                success: false,
-                error: errorMessage
-            }, requestId);
-            
-            return {
-                content: [
-                    {
-                        type: "text",
-                        text: `Error: ${errorMessage}`
-                    }
-                ],
-                isError: true
-            };
-        }
+    // Load the host's patient record and answer with 'patient-context-loaded' (or an error frame)
+    async handleSetPatientContext(data) {
+        const result = await this.patients.loadPatientContext(data.context, { source: 'host' });
+        this.logToParent(result.success ? result.message : `Could not load patient record: ${result.error}`);
+        replyToHost(data.requestId, 'patient-context-loaded', result);
     }
 
-    async executeGetContext(args, requestId = null) {
-        console.log('MCP Server: executing getContext');
-        
-        try {
-            const context = this.getLocalContext();
-            
-            this.sendToolResponse('getContext', {
-                success: true,
-                data: context,
-                message: 'Context retrieved successfully'
-            }, requestId);
-            
-            return {
-                content: [
-                    {
-                        type: "text",
-                        text: JSON.stringify(context, null, 2)
-                    }
-                ],
-                isError: false
-            };
-            
-        } catch (error) {
-            const errorMessage = error.message;
-            
-            this.sendToolResponse('getContext', {
-                success: false,
-                error: errorMessage
-            }, requestId);
-            
-            return {
-                content: [
-                    {
-                        type: "text",
-                        text: `Error: ${errorMessage}`
-                    }
-                ],
-                isError: true
-            };
-        }
+    // Embed API: run a tool for the host page. Chart changes need data.approvedBy, the clinician who
+    // approved the change in the EHR, the same rule as MCP calls on the 'host' channel (see callerApproval)
+    async handleHostToolCall(data) {
+        const result = await this.executeTool(data.name, data.arguments || {}, {
+            requestedBy: data.requestedBy || 'host',
+            channel: 'host',
+            patientId: data.patientId,
+            ...callerApproval(data, 'host')
+        });
+        replyToHost(data.requestId, 'tool-result', { ...result, patientId: this.getActivePatientId() });
     }
 
-    async executeDiscontinueMedication(args, requestId = null) {
-        console.log('MCP Server: executing discontinueMedication with:', args);
-        
-        try {
-            const medId = args.medId || args;
-            
-            // Find medication to discontinue
-            const medIndex = this.localMedications.findIndex(med => 
-                med.id === medId || 
-                med.name.toLowerCase() === medId.toLowerCase()
-            );
-            
-            if (medIndex === -1) {
-                throw new Error(`Medication ${medId} not found`);
-            }
-            
-            const discontinuedMed = this.localMedications.splice(medIndex, 1)[0];
-            
-            const successMessage = `Successfully discontinued ${discontinuedMed.name}`;
-            
-            this.sendToolResponse('discontinueMedication', {
-                success: true,
-                data: discontinuedMed,
-                message: successMessage
-            }, requestId);
-            
-            return {
-                content: [
-                    {
-                        type: "text",
-                        text: successMessage
-                    }
-                ],
-                isError: false
-            };
-            
-        } catch (error) {
-            const errorMessage = error.message;
-            
-            this.sendToolResponse('discontinueMedication', {
-                success: false,
-                error: errorMessage
-            }, requestId);
-            
-            return {
-                content: [
-                    {
-                        type: "text",
-                        text: `Error: ${errorMessage}`
-                    }
-                ],
-                isError: true
-            };
-        }
+    // Embed API: the active patient's context (getContext)
+    async handleGetPatientContext(data) {
+        await this.dataStore.ready;
+        replyToHost(data.requestId, 'patient-context', {
+            success: true,
+            patientId: this.getActivePatientId(),
+            context: this.getLocalContext()
+        });
     }
 
-    async executeAddAllergy(args, requestId = null) {
-        console.log('MCP Server: executing addAllergy with:', args);
-        
-        try {
-            const validatedArgs = allergySchema.parse(args);
-            
-            // Check if allergy already exists
-            const existingAllergy = this.localAllergies.find(allergy => 
-                allergy.allergen.toLowerCase() === validatedArgs.allergen.toLowerCase()
-            );
-            
-            if (existingAllergy) {
-                throw new Error(`Allergy to ${validatedArgs.allergen} already exists`);
-            }
-            
-            // Create new allergy
-            const newAllergy = {
-                id: `allergy-${Date.now()}`,
-                allergen: validatedArgs.allergen,
-                reaction: validatedArgs.reaction || "Not specified",
-                severity: validatedArgs.severity || "Moderate"
-            };
-            
-            this.localAllergies.push(newAllergy);
-            
-            const successMessage = `Successfully added allergy to ${validatedArgs.allergen}`;
-            
-            this.sendToolResponse('addAllergy', {
-                success: true,
-                data: newAllergy,
-                message: successMessage
-            }, requestId);
-            
-            return {
-                content: [
-                    {
-                        type: "text",
-                        text: successMessage
-                    }
-                ],
-                isError: false
-            };
-            
-        } catch (error) {
-            const errorMessage = error.message;
-            
-            this.sendToolResponse('addAllergy', {
-                success: false,
-                error: errorMessage
-            }, requestId);
-            
-            return {
-                content: [
-                    {
-                        type: "text",
-                        text: `Error: ${errorMessage}`
-                    }
-                ],
-                isError: true
-            };
-        }
+    // Echo chart changes to the host page as 'chart-changed' so the EHR stays authoritative.
+    // Changes the host made itself, or that arrived from the storage backend, are not echoed.
+    forwardChartChanges() {
+        const source = this.fixedDataStore || this.patients;
+        source.subscribe(event => {
+            if (event.type === 'patientChanged' || event.source === 'host' || event.source === 'external') return;
+            
+            const patientId = event.patientId || this.getActivePatientId();
+            const store = this.fixedDataStore || this.patients.get(patientId);
+            postToParent({
+                type: 'chart-changed',
+                patientId: patientId,
+                action: event.type,
+                source: event.source,
+                version: event.version,
+                sections: event.sections,
+                change: event.change || null,
+                patientData: store ? store.snapshot(event.sections || []) : null,
+                timestamp: new Date().toISOString()
+            });
+        });
     }
 
-    // Send tool response to MCP Client (Ozwell iframe)
-    sendToolResponse(toolName, result, requestId = null) {
-        console.log(`MCP Server: Sending response for ${toolName}:`, result);
-        
-        // Log to parent window for display in EHR logs
+    // Log to parent window for display in EHR logs
+    logToParent(message, data = null) {
         try {
-            window.parent.postMessage({
+            postToParent({
                 type: 'mcp-log',
                 source: 'mcp-server',
-                message: `Tool ${toolName} executed: ${result.success ? 'SUCCESS' : 'FAILED'}`,
-                data: result
-            }, '*');
+                message: message,
+                data: data,
+                timestamp: new Date().toISOString()
+            });
         } catch (error) {
             console.log('Could not send log to parent:', error.message);
         }
+    }
+
+    // Legacy: send tool response to MCP Client as a custom 'mcp-tool-response' message
+    sendToolResponse(toolName, result, requestId = null) {
+        console.log(`MCP Server: Sending response for ${toolName}:`, result);
         
         // Send response to MCP Client via postMessage
-        window.postMessage({
+        postToSelf({
             type: 'mcp-tool-response',
             requestId: requestId,
             toolName: toolName,
@@ -503,106 +296,60 @@ class MedicalMCPServer {
             message: result.message,
             error: result.error,
             timestamp: new Date().toISOString()
-        }, '*');
-        
-        // Also log the action for debugging
-        console.log(`Medical action completed: ${toolName}`, result);
+        });
     }
 
     // Send available tools to MCP Client
     sendAvailableTools() {
         console.log('MCP Server: Sending available tools to MCP Client');
         
-        // Create serializable version of tools (without Zod schemas)
-        const serializableTools = this.toolsDefinition.map(tool => ({
-            name: tool.name,
-            description: tool.description
-            // Note: inputSchema is excluded as it contains non-serializable Zod objects
-        }));
-        
-        window.postMessage({
+        postToSelf({
             type: 'mcp-tools-available',
-            tools: serializableTools,
+            tools: this.getTools(),
             timestamp: new Date().toISOString()
-        }, '*');
+        });
     }
 
-    // Handle tool execution request from MCP Client
-    handleToolExecution(toolName, parameters, requestId) {
+    // Legacy: handle tool execution request sent as a custom 'mcp-execute-tool' message
+    async handleToolExecution(toolName, parameters, requestId) {
         console.log(`MCP Server: Handling tool execution request for ${toolName}:`, parameters);
         
-        // Log the incoming tool execution request
-        try {
-            window.parent.postMessage({
-                type: 'mcp-log',
-                timestamp: new Date().toISOString(),
-                message: `Received tool execution request: ${toolName}`,
-                data: parameters,
-                source: 'mcp-server'
-            }, '*');
-        } catch (error) {
-            console.log('Could not send log to parent:', error.message);
-        }
-        
         // Execute the tool and send response
-        this.executeTool(toolName, parameters, requestId);
+        const result = await this.executeTool(toolName, parameters, { channel: 'legacy' });
+        this.sendToolResponse(toolName, result, requestId);
     }
 
-    // Get current context including local medications and allergies
+    // Get current patient context from the data store
     getLocalContext() {
-        return {
-            patientInfo: this.patientInfo,
-            medications: [...this.localMedications],
-            allergies: [...this.localAllergies],
-            totalMedications: this.localMedications.length,
-            totalAllergies: this.localAllergies.length,
-            lastUpdated: new Date().toISOString()
-        };
+        return this.dataStore.getContext();
     }
 
     async initialize() {
         console.log('Initializing Medical MCP Server...');
         
-        // Initialize with some default data for testing
-        this.localMedications = [
-            {
-                id: "med-1",
-                name: "Lisinopril",
-                dose: "10mg",
-                frequency: "once daily",
-                indication: "Hypertension",
-                startDate: "2024-01-15"
-            },
-            {
-                id: "med-2",
-                name: "Metformin",
-                dose: "500mg",
-                frequency: "twice daily",
-                indication: "Type 2 Diabetes",
-                startDate: "2024-02-01"
-            }
-        ];
-        
-        this.localAllergies = [
-            {
-                id: "allergy-1",
-                allergen: "Penicillin",
-                reaction: "Rash",
-                severity: "Moderate"
-            },
-            {
-                id: "allergy-2",
-                allergen: "Sulfa",
-                reaction: "Hives",
-                severity: "Mild"
-            }
-        ];
+        // Storage backends load asynchronously
+        await this.dataStore.ready;
         
         this.initialized = true;
         
         console.log('Medical MCP Server initialized successfully');
-        console.log('Available tools:', this.toolsDefinition.map(t => t.name).join(', '));
-        console.log('Sample data loaded - Medications:', this.localMedications.length, 'Allergies:', this.localAllergies.length);
+        console.log('Available tools:', this.registry.getNames().join(', '));
+        const context = this.getLocalContext();
+        console.log(`Patient ${context.patientInfo.name} - Medications:`, context.totalMedications, 'Allergies:', context.totalAllergies);
+        
+        // Serve MCP JSON-RPC to clients in this window (MCPClient)...
+        await this.connect(new PostMessageTransport({ target: window, role: 'server', targetOrigin: window.location.origin }), 'agent');
+        
+        // ...and to the host page when embedded as an iframe, if it is on a trusted origin
+        if (window.parent !== window) {
+            await this.connect(new PostMessageTransport({
+                target: window.parent,
+                role: 'server',
+                targetOrigin: () => getParentOrigin(),
+                allowedOrigins: getTrustedOrigins()
+            }), 'host');
+            this.forwardChartChanges();
+        }
         
         // Send initial tools to any listening MCP Client
         setTimeout(() => {
@@ -618,71 +365,105 @@ class MedicalMCPServer {
 
     // Get available tools (for external access)
     getTools() {
-        return this.toolsDefinition.map(tool => ({
-            name: tool.name,
-            description: tool.description
-        }));
+        return this.registry.getDefinitions();
     }
 
     // Get detailed tool information
     getToolDetails() {
-        return this.toolsDefinition;
+        return this.registry.list();
     }
 
     // Reset medical data (for testing)
     resetData() {
-        this.localMedications = [];
-        this.localAllergies = [];
-        console.log('MCP Server: Medical data reset');
+        this.dataStore.resetToDemo();
+        console.log('MCP Server: Medical data reset to demo patient');
     }
 
     // Get current medical data (for testing/debugging)
     getCurrentData() {
-        return {
-            medications: this.localMedications,
-            allergies: this.localAllergies,
-            patientInfo: this.patientInfo
-        };
+        return this.dataStore.exportData().patientData;
+    }
+
+    // Every caller goes through this check, not only the chat's approval card
+    assertApproved(toolName, auditContext) {
+        const tool = this.registry.get(toolName);
+        if (!tool) return;
+        
+        const approved = APPROVED.includes(auditContext.approval);
+        if (requiresApproval(tool) && !approved) {
+            throw new Error(`${toolName} changes the chart and needs clinician approval. Nothing was changed.`);
+        }
+        if (auditContext.overrideInteractions && !approved) {
+            throw new Error('Only a clinician approving the change can override a major interaction. Nothing was changed.');
+        }
     }
 
-    // Execute a tool directly (for testing)
-    async executeTool(toolName, parameters, requestId = null) {
+    // Execute a tool and return { success, data, message } or { success: false, error, warnings? }, plus
+    // auditError when its audit entry could not be saved.
+    // auditContext ({ requestedBy, prompt, provider, model, approval, approvedBy, channel }) is written to
+    // the audit log. Chart changes run only with approval 'approved' or 'edited', unless the tool's
+    // approval policy is 'auto' (see approval-policy.js)
+    async executeTool(toolName, parameters = {}, auditContext = {}) {
+        const requestedAt = new Date().toISOString();
+        this.logToParent(`Received tool execution request: ${toolName}`, parameters);
+        
+        let result;
+        
+        // The call is bound to the chart that is active now, even if the patient changes while it runs
+        const dataStore = this.dataStore;
+        const patientId = this.getActivePatientId();
+        
         try {
-            let result;
-            
-            switch (toolName) {
-                case "addMedication":
-                    result = await this.executeAddMedication(parameters, requestId);
-                    break;
-                case "editMedication":
-                    result = await this.executeEditMedication(parameters, requestId);
-                    break;
-                case "getContext":
-                    result = await this.executeGetContext(parameters, requestId);
-                    break;
-                case "discontinueMedication":
-                    result = await this.executeDiscontinueMedication(parameters, requestId);
-                    break;
-                case "addAllergy":
-                    result = await this.executeAddAllergy(parameters, requestId);
-                    break;
-                default:
-                    // Only for unknown tools, send error response
-                    this.sendToolResponse(toolName, {
-                        success: false,
-                        error: `Unknown tool: ${toolName}`
-                    }, requestId);
-                    throw new Error(`Unknown tool: ${toolName}`);
+            // A request made for one patient must never touch another patient's chart
+            if (auditContext.patientId && auditContext.patientId !== patientId) {
+                throw new Error(`Request was made for patient ${auditContext.patientId}, but the active patient is now ${patientId}. Nothing was changed.`);
             }
             
-            // Individual execute methods handle their own responses
-            // and include the requestId for proper response tracking
+            this.assertApproved(toolName, auditContext);
+            await dataStore.ready;
             
+            // Calls from the chat agent are AI-initiated; other channels are recorded by name
+            const source = auditContext.channel === 'agent' ? 'ai' : (auditContext.channel || 'direct');
+            const scopedServer = Object.create(this, { dataStore: { value: dataStore } });
+            result = await this.registry.execute(toolName, parameters, scopedServer, { ...auditContext, source });
         } catch (error) {
             console.error(`Error executing tool ${toolName}:`, error);
-            // Error responses are handled by individual execute methods
-            // This catch mainly handles the unknown tool case above
+            result = {
+                success: false,
+                error: error.message,
+                ...(error.warnings && { warnings: error.warnings })
+            };
         }
+        
+        this.logToParent(`Tool ${toolName} executed: ${result.success ? 'SUCCESS' : 'FAILED'}`, result);
+        
+        try {
+            await this.auditLog.append({
+                requestedBy: auditContext.requestedBy || auditContext.channel || 'direct',
+                channel: auditContext.channel || 'direct',
+                patientId: patientId || null,
+                prompt: auditContext.prompt || null,
+                provider: auditContext.provider || null,
+                model: auditContext.model || null,
+                approval: auditContext.approval || null,
+                ...(auditContext.approvedBy && { approvedBy: auditContext.approvedBy }),
+                ...(auditContext.overrideInteractions && {
+                    override: { interactions: true, reason: auditContext.overrideReason || null }
+                }),
+                tool: toolName,
+                parameters: parameters,
+                result: result,
+                requestedAt: requestedAt
+            });
+        } catch (error) {
+            // The call already ran: report that its record was not saved instead of hiding it
+            const notice = error.entry ? `${error.message}; it is kept in this page and saved again with the next entry` : `Audit entry was not written: ${error.message}`;
+            result = result.success
+                ? { ...result, message: `${result.message}. ${notice}`, auditError: error.message }
+                : { ...result, error: `${result.error}. ${notice}`, auditError: error.message };
+        }
+        
+        return result;
     }
 }
 
@@ -700,8 +481,8 @@ window.addEventListener('DOMContentLoaded', async () => {
     console.log('- window.medicationServer.getCurrentData() - View current data');
     console.log('- window.medicationServer.resetData() - Reset all data');
     console.log('- window.medicationServer.getTools() - Get available tools');
-    console.log('- window.medicationServer.executeTool(toolName, parameters) - Execute a tool directly');
+    console.log('- window.medicationServer.executeTool(toolName, parameters, auditContext) - Execute a tool directly');
     
-    // Example usage:
-    console.log('Example: window.medicationServer.executeTool("addMedication", {name: "Aspirin", dose: "81mg", frequency: "once daily", indication: "Cardioprotection"})');
+    // Example usage (chart changes need the clinician's approval in auditContext):
+    console.log('Example: window.medicationServer.executeTool("addMedication", {name: "Aspirin", dose: "81mg", frequency: "once daily", indication: "Cardioprotection"}, {requestedBy: "dr-smith", approval: "approved"})');
 });
@@ -0,0 +1,250 @@
+// Medication Safety - Maximum daily dose and therapeutic duplication checks
+// The daily dose of a medication is worked out from its parsed sig (see sig-parser.js): amount per
+// administration x administrations per day, converted to mg. Doses that cannot be worked out
+// (unparsed sigs, liquids without a concentration) are not checked.
+
+import { DRUG_CLASSES } from './drug-interactions.js';
+import { parseSig } from './sig-parser.js';
+import { MEDICATION_SYNONYMS, withGenericName } from './medication-names.js';
+
+// Maximum daily dose in mg for adults. cautionAbove is a lower limit that applies to some
+// patients (noted in `note`); exceeding it gives a moderate warning instead of a major one.
+export const MAX_DAILY_DOSES = {
+    'acetaminophen': { max: 4000, cautionAbove: 3000, note: 'Use at most 3000 mg/day in older adults, regular alcohol use or liver disease.' },
+    'ibuprofen': { max: 3200, cautionAbove: 1200, note: 'Over-the-counter use is limited to 1200 mg/day.' },
+    'naproxen': { max: 1500 },
+    'aspirin': { max: 4000 },
+    'diclofenac': { max: 150 },
+    'celecoxib': { max: 400 },
+    'ketorolac': { max: 40, note: 'Oral ketorolac is limited to 5 days of treatment.' },
+    'lisinopril': { max: 80 },
+    'enalapril': { max: 40 },
+    'ramipril': { max: 20 },
+    'losartan': { max: 100 },
+    'valsartan': { max: 320 },
+    'amlodipine': { max: 10 },
+    'metoprolol': { max: 400 },
+    'hydrochlorothiazide': { max: 50 },
+    'metformin': { max: 2550 },
+    'glipizide': { max: 40 },
+    'atorvastatin': { max: 80 },
+    'simvastatin': { max: 40, note: 'The 80 mg dose is no longer recommended because of myopathy risk.' },
+    'rosuvastatin': { max: 40 },
+    'sertraline': { max: 200 },
+    'fluoxetine': { max: 80 },
+    'citalopram': { max: 40, cautionAbove: 20, note: 'Limit to 20 mg/day over age 60 because of QT prolongation.' },
+    'escitalopram': { max: 20 },
+    'tramadol': { max: 400, cautionAbove: 300, note: 'Limit to 300 mg/day over age 75.' },
+    'gabapentin': { max: 3600 },
+    'diphenhydramine': { max: 300 },
+    'cetirizine': { max: 10 },
+    'loratadine': { max: 10 },
+    'allopurinol': { max: 800 },
+    'zolpidem': { max: 10 }
+};
+
+// Combination products and their ingredients in mg per tablet/capsule (the most common strength)
+export const COMBINATION_PRODUCTS = {
+    'percocet': { oxycodone: 5, acetaminophen: 325 },
+    'norco': { hydrocodone: 5, acetaminophen: 325 },
+    'vicodin': { hydrocodone: 5, acetaminophen: 300 },
+    'tylenol with codeine': { codeine: 30, acetaminophen: 300 },
+    'tylenol pm': { acetaminophen: 500, diphenhydramine: 25 },
+    'excedrin': { acetaminophen: 250, aspirin: 250, caffeine: 65 },
+    'nyquil': { acetaminophen: 325, dextromethorphan: 15, doxylamine: 6.25 },
+    'bactrim': { sulfamethoxazole: 800, trimethoprim: 160 },
+    'augmentin': { amoxicillin: 875, clavulanate: 125 },
+    'zestoretic': { lisinopril: 20, hydrochlorothiazide: 12.5 },
+    'hyzaar': { losartan: 50, hydrochlorothiazide: 12.5 }
+};
+
+// Drug classes where two different members are normally a duplication rather than a combination
+const DUPLICATE_CLASSES = [
+    'ace-inhibitor', 'arb', 'nsaid', 'ssri', 'statin', 'ppi', 'beta-blocker',
+    'sulfonylurea', 'benzodiazepine', 'opioid', 'anticoagulant', 'thiazide'
+];
+
+const MG_PER_UNIT = { mg: 1, g: 1000, mcg: 0.001 };
+
+// Every generic name the safety checks know about, longest first so "isosorbide mononitrate" wins
+const KNOWN_INGREDIENTS = [...new Set([
+    ...Object.keys(MAX_DAILY_DOSES),
+    ...Object.keys(MEDICATION_SYNONYMS),
+    ...Object.values(DRUG_CLASSES).flatMap(drugClass => drugClass.members)
+])].sort((a, b) => b.length - a.length);
+
+const round = (value) => Math.round(value * 100) / 100;
+
+function normalizeName(name) {
+    return String(name || '').toLowerCase().trim();
+}
+
+function containsTerm(text, term) {
+    return new RegExp(`(^|[^a-z])${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}($|[^a-z])`).test(text);
+}
+
+function toMg(value, unit) {
+    return MG_PER_UNIT[unit] !== undefined ? value * MG_PER_UNIT[unit] : null;
+}
+
+// Strength written in the medication name, e.g. "Acetaminophen 500mg"
+function strengthFromName(name) {
+    const match = /(\d+(?:\.\d+)?)\s*(mg|mcg|g)\b/.exec(normalizeName(name));
+    return match ? toMg(Number(match[1]), match[2]) : null;
+}
+
+// Ingredients of a medication: [{ ingredient, mgPerUnit }], mgPerUnit being the content of one
+// tablet/capsule when known
+export function getIngredients(medicationName) {
+    const name = normalizeName(medicationName);
+
+    const product = Object.keys(COMBINATION_PRODUCTS).find(productName => containsTerm(name, productName));
+    if (product) {
+        return Object.entries(COMBINATION_PRODUCTS[product]).map(([ingredient, mgPerUnit]) => ({ ingredient, mgPerUnit }));
+    }
+
+    // Brand and regional names resolve to their generic ("Dolo 650" -> acetaminophen)
+    const text = withGenericName(name);
+    const ingredients = [];
+    KNOWN_INGREDIENTS.forEach(ingredient => {
+        if (containsTerm(text, ingredient) && !ingredients.some(found => found.ingredient.includes(ingredient))) {
+            ingredients.push({ ingredient, mgPerUnit: null });
+        }
+    });
+    if (ingredients.length === 1) {
+        ingredients[0].mgPerUnit = strengthFromName(name);
+    }
+    return ingredients;
+}
+
+// Daily dose in mg of each ingredient: [{ ingredient, dailyDose }] (dailyDose null when unknown)
+export function getDailyDoses(medication) {
+    const sig = medication.sig || parseSig(medication.dose, medication.frequency);
+    const ingredients = getIngredients(medication.name);
+    const single = ingredients.length === 1;
+
+    return ingredients.map(({ ingredient, mgPerUnit }) => {
+        if (!sig.parsed || sig.timesPerDay === null) return { ingredient, dailyDose: null };
+
+        const amount = sig.amountMax ?? sig.amount;
+        let perAdministration = null;
+        if (MG_PER_UNIT[sig.unit] !== undefined) {
+            // A mass dose of a combination product does not say how much of each ingredient it holds
+            perAdministration = single ? toMg(amount, sig.unit) : null;
+        } else if (sig.strength && single) {
+            perAdministration = toMg(sig.strength.value, sig.strength.unit) * amount;
+        } else if (mgPerUnit !== null && ['tablet', 'capsule'].includes(sig.unit)) {
+            perAdministration = mgPerUnit * amount;
+        }
+        if (perAdministration === null) return { ingredient, dailyDose: null };
+
+        // Explicit caps: "max 4 g/day" for a single ingredient, "max 8 tabs/day" for any product
+        let dailyDose = perAdministration * sig.timesPerDay;
+        let cap = null;
+        if (sig.maxDailyDose?.unit === sig.unit) {
+            cap = perAdministration / amount * sig.maxDailyDose.value;
+        } else if (sig.maxDailyDose && single) {
+            cap = toMg(sig.maxDailyDose.value, sig.maxDailyDose.unit);
+        }
+        if (cap !== null && cap < dailyDose) dailyDose = cap;
+
+        return { ingredient, dailyDose: round(dailyDose) };
+    });
+}
+
+function doseWarning(medicationNames, ingredient, dailyDose) {
+    const limit = MAX_DAILY_DOSES[ingredient];
+    const combined = medicationNames.length > 1;
+    const source = combined ? `${medicationNames.join(' + ')} together give` : `${medicationNames[0]} gives`;
+
+    if (dailyDose > limit.max) {
+        return {
+            type: 'dose',
+            severity: 'major',
+            medications: medicationNames,
+            ingredient: ingredient,
+            dailyDose: dailyDose,
+            maxDailyDose: limit.max,
+            management: limit.note || 'Reduce the dose or frequency.',
+            message: `DOSE LIMIT: ${source} up to ${dailyDose} mg/day of ${ingredient}; the maximum is ${limit.max} mg/day.`
+        };
+    }
+
+    if (limit.cautionAbove && dailyDose > limit.cautionAbove) {
+        return {
+            type: 'dose',
+            severity: 'moderate',
+            medications: medicationNames,
+            ingredient: ingredient,
+            dailyDose: dailyDose,
+            maxDailyDose: limit.cautionAbove,
+            management: limit.note,
+            message: `DOSE CAUTION: ${source} up to ${dailyDose} mg/day of ${ingredient}, above ${limit.cautionAbove} mg/day. ${limit.note}`
+        };
+    }
+
+    return null;
+}
+
+// Dose-limit and duplicate-therapy warnings for a medication ({ name, dose, frequency, sig })
+// against the patient's other active medications, most severe first
+export function checkMedicationSafety(medication, otherMedications = []) {
+    const warnings = [];
+    const doses = getDailyDoses(medication);
+    const others = otherMedications.map(other => ({ medication: other, doses: getDailyDoses(other) }));
+
+    doses.forEach(({ ingredient, dailyDose }) => {
+        const sameIngredient = others.filter(other => other.doses.some(dose => dose.ingredient === ingredient));
+
+        sameIngredient.forEach(other => {
+            warnings.push({
+                type: 'duplicate',
+                severity: 'major',
+                medications: [medication.name, other.medication.name],
+                ingredient: ingredient,
+                management: `Stop one of them, or make sure the total ${ingredient} dose stays within limits.`,
+                message: `DUPLICATE THERAPY: ${medication.name} and ${other.medication.name} both contain ${ingredient}.`
+            });
+        });
+
+        if (!MAX_DAILY_DOSES[ingredient] || dailyDose === null) return;
+
+        const single = doseWarning([medication.name], ingredient, dailyDose);
+        if (single) {
+            warnings.push(single);
+        }
+        if (single?.severity === 'major' || sameIngredient.length === 0) return;
+
+        // Total across every product containing the ingredient (only doses that can be worked out)
+        const total = sameIngredient.reduce((sum, other) =>
+            sum + (other.doses.find(dose => dose.ingredient === ingredient).dailyDose || 0), dailyDose);
+        const combined = doseWarning([medication.name, ...sameIngredient.map(other => other.medication.name)], ingredient, round(total));
+        if (combined && combined.severity !== single?.severity) {
+            warnings.push(combined);
+        }
+    });
+
+    // Two different members of a class that is not normally combined
+    const ingredients = doses.map(dose => dose.ingredient);
+    DUPLICATE_CLASSES.forEach(classId => {
+        const members = DRUG_CLASSES[classId]?.members || [];
+        if (!ingredients.some(ingredient => members.includes(ingredient))) return;
+
+        others.forEach(other => {
+            const otherIngredients = other.doses.map(dose => dose.ingredient);
+            const sameClass = otherIngredients.some(ingredient => members.includes(ingredient) && !ingredients.includes(ingredient));
+            if (!sameClass) return;
+
+            warnings.push({
+                type: 'duplicate',
+                severity: 'moderate',
+                medications: [medication.name, other.medication.name],
+                drugClass: DRUG_CLASSES[classId].label,
+                management: 'Confirm both are intended; usually one should be stopped.',
+                message: `DUPLICATE THERAPY: ${medication.name} and ${other.medication.name} are both ${DRUG_CLASSES[classId].label}.`
+            });
+        });
+    });
+
+    return warnings.sort((a, b) => (a.severity === 'major' ? 0 : 1) - (b.severity === 'major' ? 0 : 1));
+}
@@ -0,0 +1,609 @@
+// Medical Tools - Declarations of every medical MCP tool
+// Each tool is declared once here; MedicalMCPServer, LLMManager, OzwellIntegration and
+// MCPClient all read from this registry
+
+import { z } from 'zod';
+import { ToolRegistry } from './tool-registry.js';
+import { findInteractions, toInteractionWarning } from './drug-interactions.js';
+import { findAllergyMatches, toAllergyWarning } from './allergy-cross-reactivity.js';
+import { checkMedicationSafety } from './medical-safety.js';
+import { sameMedication } from './medication-names.js';
+
+// Schema definitions for medication data
+const medicationSchema = z.object({
+    name: z.string().describe("Name of the medication (e.g., 'Paracetamol', 'Ibuprofen')"),
+    dose: z.string().describe("Dosage of the medication (e.g., '10mg', '500mg')"),
+    frequency: z.string().describe("How often to take the medication (e.g., 'once daily', 'twice daily', 'every 6 hours')"),
+    indication: z.string().optional().describe("Reason for prescribing (e.g., 'Pain relief', 'Fever')")
+});
+
+const editMedicationSchema = z.object({
+    medId: z.string().describe("ID or name of the medication to edit"),
+    updates: z.object({
+        name: z.string().optional().describe("New name of the medication"),
+        dose: z.string().optional().describe("New dosage of the medication"),
+        frequency: z.string().optional().describe("New frequency for the medication"),
+        indication: z.string().optional().describe("New indication for the medication")
+    }).describe("Updates to apply to the medication")
+});
+
+const discontinueMedicationSchema = z.object({
+    medId: z.string().describe("ID or name of medication to discontinue")
+});
+
+const allergySchema = z.object({
+    allergen: z.string().describe("The substance the patient is allergic to (e.g., 'Penicillin', 'Sulfa')"),
+    reaction: z.string().optional().describe("The type of reaction experienced (e.g., 'Hives', 'Difficulty breathing')"),
+    severity: z.enum(["Mild", "Moderate", "Severe"]).optional().describe("Severity of the allergic reaction")
+});
+
+// Physiologic ranges accepted when recording vitals (outside these a value is almost certainly a typo)
+const VITAL_RANGES = {
+    systolic: [50, 300],
+    diastolic: [20, 200],
+    heartRate: [20, 300],
+    temperatureF: [86, 113],
+    temperatureC: [30, 45],
+    respiratoryRate: [4, 80],
+    oxygenSaturation: [50, 100]
+};
+
+const inRange = (value, [min, max]) => value >= min && value <= max;
+
+// ICD-10(-CM) code: letter, two digits/letters, optional dot and up to four more characters (e.g. I10, E11.9, S72.001A)
+const ICD10_PATTERN = /^[A-TV-Z][0-9][0-9A-Z](\.[0-9A-Z]{1,4})?$/;
+
+const isoDate = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, "Use YYYY-MM-DD");
+
+const recordVitalsSchema = z.object({
+    bloodPressure: z.string().regex(/^\s*\d{2,3}\s*\/\s*\d{2,3}\s*$/, "Use systolic/diastolic, e.g. 140/90").optional()
+        .describe("Blood pressure as systolic/diastolic in mmHg (e.g. '140/90')"),
+    heartRate: z.coerce.number().optional().describe("Heart rate in beats per minute"),
+    temperature: z.coerce.number().optional().describe("Body temperature"),
+    temperatureUnit: z.enum(["F", "C"]).optional().describe("Unit of the temperature (default F)"),
+    respiratoryRate: z.coerce.number().int().optional().describe("Respiratory rate in breaths per minute"),
+    oxygenSaturation: z.coerce.number().optional().describe("Oxygen saturation (SpO2) in percent"),
+    recordedAt: z.string().datetime({ offset: true }).optional().describe("When the vitals were taken (ISO 8601, default now)")
+}).superRefine((vitals, ctx) => {
+    const fail = (path, message) => ctx.addIssue({ code: z.ZodIssueCode.custom, path: [path], message });
+
+    if (['bloodPressure', 'heartRate', 'temperature', 'respiratoryRate', 'oxygenSaturation'].every(field => vitals[field] === undefined)) {
+        fail('bloodPressure', 'Provide at least one vital sign');
+    }
+
+    if (vitals.bloodPressure) {
+        const [systolic, diastolic] = vitals.bloodPressure.split('/').map(Number);
+        if (!inRange(systolic, VITAL_RANGES.systolic)) fail('bloodPressure', `Systolic ${systolic} mmHg is outside ${VITAL_RANGES.systolic.join('-')}`);
+        if (!inRange(diastolic, VITAL_RANGES.diastolic)) fail('bloodPressure', `Diastolic ${diastolic} mmHg is outside ${VITAL_RANGES.diastolic.join('-')}`);
+        if (systolic <= diastolic) fail('bloodPressure', 'Systolic must be higher than diastolic');
+    }
+    if (vitals.heartRate !== undefined && !inRange(vitals.heartRate, VITAL_RANGES.heartRate)) {
+        fail('heartRate', `Heart rate ${vitals.heartRate} bpm is outside ${VITAL_RANGES.heartRate.join('-')}`);
+    }
+    if (vitals.temperature !== undefined) {
+        const range = vitals.temperatureUnit === 'C' ? VITAL_RANGES.temperatureC : VITAL_RANGES.temperatureF;
+        if (!inRange(vitals.temperature, range)) fail('temperature', `Temperature ${vitals.temperature}°${vitals.temperatureUnit || 'F'} is outside ${range.join('-')}`);
+    }
+    if (vitals.respiratoryRate !== undefined && !inRange(vitals.respiratoryRate, VITAL_RANGES.respiratoryRate)) {
+        fail('respiratoryRate', `Respiratory rate ${vitals.respiratoryRate} is outside ${VITAL_RANGES.respiratoryRate.join('-')}`);
+    }
+    if (vitals.oxygenSaturation !== undefined && !inRange(vitals.oxygenSaturation, VITAL_RANGES.oxygenSaturation)) {
+        fail('oxygenSaturation', `SpO2 ${vitals.oxygenSaturation}% is outside ${VITAL_RANGES.oxygenSaturation.join('-')}`);
+    }
+});
+
+const getVitalsSchema = z.object({
+    type: z.enum(["bloodPressure", "heartRate", "temperature", "respiratoryRate", "oxygenSaturation"]).optional()
+        .describe("Vital sign to return (default all)"),
+    from: isoDate.optional().describe("Start date (YYYY-MM-DD)"),
+    to: isoDate.optional().describe("End date (YYYY-MM-DD)")
+});
+
+const updatePatientInfoSchema = z.object({
+    name: z.string().trim().min(1).optional().describe("Patient's full name"),
+    age: z.coerce.number().int().min(0).max(130).optional().describe("Age in years"),
+    gender: z.enum(["male", "female", "other", "unknown"]).optional().describe("Administrative gender"),
+    birthDate: isoDate.optional().describe("Date of birth (YYYY-MM-DD)")
+    // No patientId or mrn: they select the patient's chart and are read-only
+}).refine(updates => Object.values(updates).some(value => value !== undefined), {
+    message: "Provide at least one field to update"
+});
+
+const addConditionSchema = z.object({
+    name: z.string().trim().min(1).describe("Condition name (e.g. 'Essential Hypertension')"),
+    icd10: z.string().trim().toUpperCase().regex(ICD10_PATTERN, "Invalid ICD-10 code (expected e.g. I10, E11.9)").optional()
+        .describe("ICD-10 code (e.g. 'I10', 'E11.9')"),
+    diagnosisDate: isoDate.optional().describe("Date of diagnosis (YYYY-MM-DD, default today)")
+});
+
+const resolveConditionSchema = z.object({
+    conditionId: z.string().describe("ID, name or ICD-10 code of the active condition"),
+    resolvedDate: isoDate.optional().describe("Date resolved (YYYY-MM-DD, default today)")
+});
+
+const listConditionsSchema = z.object({
+    status: z.enum(["active", "resolved", "all"]).optional().describe("Which conditions to list (default active)")
+});
+
+// Find a medication by ID, (case insensitive) name, or a brand/regional name for the same drug
+function findMedicationIndex(medications, medId) {
+    const exact = medications.findIndex(med =>
+        med.id === medId ||
+        med.name.toLowerCase() === medId.toLowerCase()
+    );
+    return exact !== -1 ? exact : medications.findIndex(med => sameMedication(med.name, medId));
+}
+
+// Find a medication in a patient context (getContext data) for change previews
+function findContextMedication(patientContext, medId) {
+    const medications = patientContext.medications || [];
+    const index = medId ? findMedicationIndex(medications, medId) : -1;
+    return index === -1 ? null : medications[index];
+}
+
+// Data store options for a medication change. A major interaction can only be overridden by the
+// clinician ("Override & Approve" on the approval card), which the caller passes in meta, never by
+// tool arguments the model chooses
+function interactionOptions(meta) {
+    return {
+        source: meta.source,
+        overrideInteractions: meta.overrideInteractions === true,
+        overrideReason: meta.overrideReason,
+        overriddenBy: meta.requestedBy
+    };
+}
+
+// Refuse a medication that matches a recorded allergy (directly, by drug class or by high cross-sensitivity)
+function assertNoAllergy(dataStore, medicationName) {
+    const allergyCheck = dataStore.checkAllergies(medicationName);
+    if (allergyCheck.hasAllergy) {
+        throw new Error(`Cannot add ${medicationName}: Patient is allergic to ${allergyCheck.allergen} (${allergyCheck.severity} reaction). ${allergyCheck.explanation}`);
+    }
+}
+
+function otherActiveMedications(patientContext, excludeId) {
+    return (patientContext.medications || [])
+        .filter(med => med.id !== excludeId && (med.status || 'active') === 'active');
+}
+
+// Allergy, interaction, dose-limit and duplicate-therapy warnings a proposed medication
+// ({ name, dose, frequency }) would have, for change previews (the data store runs the same
+// checks when the change is saved)
+function previewMedicationWarnings(patientContext, medication, excludeId) {
+    if (!medication?.name) return [];
+    const others = otherActiveMedications(patientContext, excludeId);
+    return [
+        ...findAllergyMatches(medication.name, patientContext.allergies || []).map(toAllergyWarning),
+        ...findInteractions(medication.name, others.map(med => med.name)).map(toInteractionWarning),
+        ...checkMedicationSafety({ name: medication.name, dose: medication.dose, frequency: medication.frequency }, others)
+    ];
+}
+
+// Convert a MedicalDataManager result ({ success, message, warnings } or { success: false, error })
+// into a tool result; failures are thrown (with their warnings) so executeTool reports them
+function toToolResult(result, data) {
+    if (!result.success) {
+        const error = new Error(result.error);
+        error.warnings = result.warnings;
+        throw error;
+    }
+
+    const warnings = result.warnings || [];
+    return {
+        success: true,
+        data: warnings.length > 0 ? { ...data, warnings } : data,
+        message: warnings.length > 0 ? `${result.message}. ${warnings.map(warning => warning.message).join(' ')}` : result.message
+    };
+}
+
+export const medicalToolRegistry = new ToolRegistry();
+
+medicalToolRegistry.register({
+    name: "addMedication",
+    description: "Add a new medication to patient records with proper validation and allergy checking",
+    inputSchema: medicationSchema,
+    handler: async (args, server, meta) => {
+        // Tools refuse medications the patient is allergic to (the data store only warns)
+        assertNoAllergy(server.dataStore, args.name);
+
+        const result = server.dataStore.addMedication({
+            name: args.name,
+            dose: args.dose,
+            frequency: args.frequency,
+            indication: args.indication || "Not specified",
+            prescriber: 'AI Assistant'
+        }, interactionOptions(meta));
+
+        return toToolResult(result, result.medication);
+    },
+    previewChange: (args, patientContext) => ({
+        before: null,
+        after: {
+            name: args.name,
+            dose: args.dose,
+            frequency: args.frequency,
+            indication: args.indication
+        },
+        warnings: previewMedicationWarnings(patientContext, args)
+    }),
+    formatResult: (medicationData, message) => {
+        if (!medicationData) return message || 'Medication added successfully.';
+
+        let response = `✅ **Medication Added Successfully**\n\n`;
+        response += `**Medication:** ${medicationData.name}\n`;
+        response += `**Dose:** ${medicationData.dose}\n`;
+        response += `**Frequency:** ${medicationData.frequency}\n`;
+        if (medicationData.indication) {
+            response += `**Indication:** ${medicationData.indication}\n`;
+        }
+        response += `**Start Date:** ${medicationData.startDate}\n`;
+        response += `**ID:** ${medicationData.id}\n\n`;
+
+        response += `The medication has been added to the patient's current medication list. Please ensure to monitor for effectiveness and any potential side effects.`;
+
+        return response;
+    }
+});
+
+medicalToolRegistry.register({
+    name: "editMedication",
+    description: "Edit an existing medication in patient records with conflict validation",
+    inputSchema: editMedicationSchema,
+    handler: async (args, server, meta) => {
+        if (args.updates.name) {
+            assertNoAllergy(server.dataStore, args.updates.name);
+        }
+
+        const result = server.dataStore.editMedication(args.medId, args.updates, interactionOptions(meta));
+        return toToolResult(result, result.medication);
+    },
+    previewChange: (args, patientContext) => {
+        const current = findContextMedication(patientContext, args.medId);
+        const updates = args.updates || {};
+        const after = { ...(current || { name: args.medId }), ...updates };
+        // Same checks as the data store: allergies and interactions on rename, dose and duplication
+        // whenever the name, dose or frequency change
+        let warnings = [];
+        if (updates.name) {
+            warnings = previewMedicationWarnings(patientContext, after, current?.id);
+        } else if (updates.dose !== undefined || updates.frequency !== undefined) {
+            warnings = checkMedicationSafety({ name: after.name, dose: after.dose, frequency: after.frequency },
+                otherActiveMedications(patientContext, current?.id));
+        }
+        return { before: current, after, warnings };
+    },
+    formatResult: (medicationData, message) => {
+        if (!medicationData) return message || 'Medication updated successfully.';
+
+        let response = `✏️ **Medication Updated**\n\n`;
+        response += `**Medication:** ${medicationData.name}\n`;
+        if (medicationData.dose) response += `**Dose:** ${medicationData.dose}\n`;
+        if (medicationData.frequency) response += `**Frequency:** ${medicationData.frequency}\n`;
+        if (medicationData.indication) response += `**Indication:** ${medicationData.indication}\n`;
+
+        response += `\nThe medication record has been updated in the patient's medication list.`;
+
+        return response;
+    }
+});
+
+medicalToolRegistry.register({
+    name: "getContext",
+    description: "Get current patient context including medications, allergies, and conditions",
+    inputSchema: z.object({}),
+    readOnly: true,
+    handler: async (args, server) => {
+        return {
+            success: true,
+            data: server.dataStore.getContext(),
+            message: 'Context retrieved successfully'
+        };
+    },
+    formatResult: (contextData) => {
+        if (!contextData) return 'Unable to retrieve patient context.';
+
+        let response = `📋 **Patient Medical Summary**\n\n`;
+
+        if (contextData.patientInfo) {
+            response += `**Patient:** ${contextData.patientInfo.name} (Age: ${contextData.patientInfo.age})\n`;
+            response += `**ID:** ${contextData.patientInfo.patientId}\n\n`;
+        }
+
+        response += `**Current Medications (${contextData.totalMedications || 0}):**\n`;
+        if (contextData.medications && contextData.medications.length > 0) {
+            contextData.medications.forEach((med, index) => {
+                response += `${index + 1}. ${med.name} ${med.dose} ${med.frequency}`;
+                if (med.indication) response += ` - ${med.indication}`;
+                response += `\n`;
+            });
+        } else {
+            response += 'No medications currently prescribed.\n';
+        }
+
+        response += `\n**Known Allergies (${contextData.totalAllergies || 0}):**\n`;
+        if (contextData.allergies && contextData.allergies.length > 0) {
+            contextData.allergies.forEach((allergy, index) => {
+                response += `${index + 1}. ${allergy.allergen}`;
+                if (allergy.reaction) response += ` (${allergy.reaction})`;
+                if (allergy.severity) response += ` - ${allergy.severity}`;
+                response += `\n`;
+            });
+        } else {
+            response += 'No known allergies recorded.\n';
+        }
+
+        const vitals = contextData.vitals;
+        if (vitals && vitals.lastRecorded) {
+            const units = vitals.units || {};
+            response += `\n**Latest Vitals (${vitals.lastRecorded}):**\n`;
+            if (vitals.bloodPressure) response += `BP ${vitals.bloodPressure} ${units.bloodPressure || ''} `;
+            if (vitals.heartRate !== undefined) response += `• HR ${vitals.heartRate} ${units.heartRate || ''} `;
+            if (vitals.temperature !== undefined) response += `• Temp ${vitals.temperature}${units.temperature || ''} `;
+            if (vitals.respiratoryRate !== undefined) response += `• RR ${vitals.respiratoryRate} `;
+            if (vitals.oxygenSaturation !== undefined) response += `• SpO2 ${vitals.oxygenSaturation}%`;
+            response += `\n*Trend:* ${vitals.trendSummary}\n`;
+        }
+
+        response += `\n*Last updated: ${new Date(contextData.lastUpdated).toLocaleString()}*`;
+
+        return response;
+    }
+});
+
+medicalToolRegistry.register({
+    name: "discontinueMedication",
+    description: "Discontinue an existing medication from patient records",
+    inputSchema: discontinueMedicationSchema,
+    handler: async (args, server, meta) => {
+        const result = server.dataStore.discontinueMedication(args.medId, { source: meta.source });
+        return toToolResult(result, result.medication);
+    },
+    previewChange: (args, patientContext) => ({
+        before: findContextMedication(patientContext, args.medId) || { name: args.medId },
+        after: null
+    }),
+    formatResult: (medicationData, message) => {
+        if (!medicationData) return message || 'Medication discontinued successfully.';
+
+        let response = `🛑 **Medication Discontinued**\n\n`;
+        response += `**Medication:** ${medicationData.name}\n`;
+        if (medicationData.dose) response += `**Dose:** ${medicationData.dose}\n`;
+        if (medicationData.frequency) response += `**Frequency:** ${medicationData.frequency}\n`;
+
+        response += `\nThe medication has been removed from the patient's active medication list.`;
+
+        return response;
+    }
+});
+
+medicalToolRegistry.register({
+    name: "addAllergy",
+    description: "Add a new allergy to patient records",
+    inputSchema: allergySchema,
+    handler: async (args, server, meta) => {
+        const result = server.dataStore.addAllergy({
+            allergen: args.allergen,
+            reaction: args.reaction || "Not specified",
+            severity: args.severity
+        }, { source: meta.source });
+
+        return toToolResult(result, result.allergy);
+    },
+    previewChange: (args, patientContext) => ({
+        before: null,
+        after: {
+            allergen: args.allergen,
+            reaction: args.reaction,
+            severity: args.severity
+        },
+        // Current medications the new allergy would conflict with
+        warnings: (patientContext.medications || [])
+            .flatMap(med => findAllergyMatches(med.name, [{ ...args, severity: args.severity || 'Moderate' }]))
+            .map(toAllergyWarning)
+    }),
+    formatResult: (allergyData, message) => {
+        if (!allergyData) return message || 'Allergy added successfully.';
+
+        let response = `⚠️ **Allergy Added to Patient Record**\n\n`;
+        response += `**Allergen:** ${allergyData.allergen}\n`;
+        if (allergyData.reaction) response += `**Reaction:** ${allergyData.reaction}\n`;
+        if (allergyData.severity) response += `**Severity:** ${allergyData.severity}\n`;
+
+        response += `\nThis allergy has been added to the patient's medical record and will be checked against future medication prescriptions.`;
+
+        return response;
+    }
+});
+
+medicalToolRegistry.register({
+    name: "recordVitals",
+    description: "Record a set of vital signs (blood pressure, heart rate, temperature, respiratory rate, SpO2) with physiologic range validation",
+    inputSchema: recordVitalsSchema,
+    handler: async (args, server, meta) => {
+        const { temperatureUnit, ...reading } = args;
+        if (reading.temperature !== undefined && temperatureUnit === 'C') {
+            reading.temperature = { value: reading.temperature, unit: '°C' };
+        }
+
+        const result = server.dataStore.updateVitals(reading, { source: meta.source });
+        return toToolResult(result, result.observations);
+    },
+    previewChange: (args, patientContext) => {
+        const latest = patientContext.vitals || {};
+        const fields = ['bloodPressure', 'heartRate', 'temperature', 'respiratoryRate', 'oxygenSaturation'].filter(field => args[field] !== undefined);
+        return {
+            before: Object.fromEntries(fields.map(field => [field, latest[field]])),
+            after: Object.fromEntries(fields.map(field => [field, field === 'temperature' ? `${args.temperature}°${args.temperatureUnit || 'F'}` : args[field]]))
+        };
+    },
+    formatResult: (observations, message) => {
+        if (!observations) return message || 'Vital signs recorded.';
+
+        let response = `🩺 **Vital Signs Recorded**\n\n`;
+        observations.forEach(observation => {
+            const value = observation.type === 'bloodPressure'
+                ? `${observation.value.systolic}/${observation.value.diastolic}`
+                : observation.value;
+            response += `**${observation.type}:** ${value} ${observation.unit}\n`;
+        });
+        if (observations[0]) {
+            response += `**Recorded:** ${new Date(observations[0].recordedAt).toLocaleString()}\n`;
+        }
+
+        return response;
+    }
+});
+
+medicalToolRegistry.register({
+    name: "getVitals",
+    description: "Get vital sign readings over time with their trend (optionally one type and a date range)",
+    inputSchema: getVitalsSchema,
+    readOnly: true,
+    handler: async (args, server) => {
+        const to = args.to ? `${args.to}T23:59:59.999Z` : undefined;
+        const observations = server.dataStore.getVitalsRange(args.type, args.from, to);
+        const types = args.type ? [args.type] : [...new Set(observations.map(observation => observation.type))];
+        const trends = Object.fromEntries(types
+            .map(type => [type, server.dataStore.getVitalsTrend(type, { from: args.from, to })])
+            .filter(([, trend]) => trend));
+
+        return {
+            success: true,
+            data: { observations, trends },
+            message: `Retrieved ${observations.length} vital sign reading(s)`
+        };
+    },
+    formatResult: (data, message) => {
+        if (!data) return message || 'Vital signs retrieved.';
+
+        let response = `📈 **Vital Signs** (${data.observations.length} readings)\n\n`;
+        Object.values(data.trends).forEach(trend => {
+            response += `**${trend.type}:** ${trend.first} → ${trend.last} (${trend.direction}, ${trend.readings} readings)\n`;
+        });
+        if (Object.keys(data.trends).length === 0) {
+            response += 'Not enough readings for a trend.\n';
+        }
+
+        return response;
+    }
+});
+
+medicalToolRegistry.register({
+    name: "updatePatientInfo",
+    description: "Edit patient demographics (name, age, gender, date of birth). The patient ID and MRN cannot be changed",
+    inputSchema: updatePatientInfoSchema,
+    handler: async (args, server, meta) => {
+        const updates = Object.fromEntries(Object.entries(args).filter(([, value]) => value !== undefined));
+        const result = server.dataStore.updatePatientInfo(updates, { source: meta.source });
+        return toToolResult(result, result.patientInfo);
+    },
+    previewChange: (args, patientContext) => {
+        const current = patientContext.patientInfo || {};
+        const fields = Object.keys(args).filter(field => args[field] !== undefined);
+        return {
+            before: Object.fromEntries(fields.map(field => [field, current[field]])),
+            after: Object.fromEntries(fields.map(field => [field, args[field]]))
+        };
+    },
+    formatResult: (patientInfo, message) => {
+        if (!patientInfo) return message || 'Patient information updated.';
+
+        let response = `👤 **Patient Information Updated**\n\n`;
+        response += `**Name:** ${patientInfo.name}\n`;
+        if (patientInfo.age !== undefined) response += `**Age:** ${patientInfo.age}\n`;
+        if (patientInfo.gender) response += `**Gender:** ${patientInfo.gender}\n`;
+        if (patientInfo.birthDate) response += `**Date of Birth:** ${patientInfo.birthDate}\n`;
+        if (patientInfo.mrn) response += `**MRN:** ${patientInfo.mrn}\n`;
+
+        return response;
+    }
+});
+
+medicalToolRegistry.register({
+    name: "addCondition",
+    description: "Add a condition to the patient's problem list, with ICD-10 code validation",
+    inputSchema: addConditionSchema,
+    handler: async (args, server, meta) => {
+        const result = server.dataStore.addCondition(args, { source: meta.source });
+        return toToolResult(result, result.condition);
+    },
+    previewChange: (args) => ({
+        before: null,
+        after: {
+            name: args.name,
+            icd10: args.icd10,
+            diagnosisDate: args.diagnosisDate
+        }
+    }),
+    formatResult: (condition, message) => {
+        if (!condition) return message || 'Condition added.';
+
+        let response = `🩻 **Condition Added**\n\n`;
+        response += `**Condition:** ${condition.name}\n`;
+        if (condition.icd10) response += `**ICD-10:** ${condition.icd10}\n`;
+        response += `**Diagnosed:** ${condition.diagnosisDate}\n`;
+
+        return response;
+    }
+});
+
+medicalToolRegistry.register({
+    name: "resolveCondition",
+    description: "Mark an active condition on the problem list as resolved",
+    inputSchema: resolveConditionSchema,
+    handler: async (args, server, meta) => {
+        const result = server.dataStore.resolveCondition(args.conditionId, { source: meta.source, resolvedDate: args.resolvedDate });
+        return toToolResult(result, result.condition);
+    },
+    previewChange: (args, patientContext) => {
+        const id = args.conditionId.toLowerCase();
+        const current = (patientContext.conditions || []).find(condition =>
+            condition.id === args.conditionId ||
+            condition.name.toLowerCase() === id ||
+            (condition.icd10 && condition.icd10.toLowerCase() === id)
+        ) || { name: args.conditionId };
+        return {
+            before: current,
+            after: { ...current, status: 'resolved', resolvedDate: args.resolvedDate || new Date().toISOString().split('T')[0] }
+        };
+    },
+    formatResult: (condition, message) => {
+        if (!condition) return message || 'Condition resolved.';
+
+        let response = `✅ **Condition Resolved**\n\n`;
+        response += `**Condition:** ${condition.name}${condition.icd10 ? ` (${condition.icd10})` : ''}\n`;
+        response += `**Resolved:** ${condition.resolvedDate}\n`;
+
+        return response;
+    }
+});
+
+medicalToolRegistry.register({
+    name: "listConditions",
+    description: "List the patient's conditions (active by default) with ICD-10 codes",
+    inputSchema: listConditionsSchema,
+    readOnly: true,
+    handler: async (args, server) => {
+        const conditions = server.dataStore.getConditions(args.status || 'active');
+        return {
+            success: true,
+            data: conditions,
+            message: `Found ${conditions.length} ${args.status && args.status !== 'all' ? args.status : ''} condition(s)`.replace(/\s+/g, ' ')
+        };
+    },
+    formatResult: (conditions, message) => {
+        if (!conditions) return message || 'Conditions retrieved.';
+        if (conditions.length === 0) return 'No conditions found.';
+
+        let response = `🩻 **Conditions (${conditions.length})**\n\n`;
+        conditions.forEach((condition, index) => {
+            response += `${index + 1}. ${condition.name}`;
+            if (condition.icd10) response += ` (${condition.icd10})`;
+            response += ` - ${condition.status}`;
+            if (condition.diagnosisDate) response += `, since ${condition.diagnosisDate}`;
+            response += `\n`;
+        });
+
+        return response;
+    }
+});
@@ -0,0 +1,127 @@
+// Medication Names - Offline dictionary of brand and regional names for generic medications
+// Every name resolves to one canonical generic (lower case), so "Tylenol", "Dolo 650", "Crocin"
+// and "Paracetamol" all find a record saved as "Acetaminophen". Combination products
+// (Percocet, Augmentin, ...) are not listed here; see COMBINATION_PRODUCTS in medical-safety.js.
+
+// Canonical generic -> brand names and regional generic names
+export const MEDICATION_SYNONYMS = {
+    'acetaminophen': ['paracetamol', 'tylenol', 'dolo', 'crocin', 'calpol', 'panadol', 'apap', 'tempra', 'feverall', 'pacimol'],
+    'ibuprofen': ['advil', 'motrin', 'brufen', 'nurofen'],
+    'naproxen': ['aleve', 'naprosyn', 'anaprox'],
+    'aspirin': ['acetylsalicylic acid', 'asa', 'ecotrin', 'bayer', 'disprin', 'ecosprin'],
+    'diclofenac': ['voltaren', 'voveran', 'cataflam'],
+    'celecoxib': ['celebrex'],
+    'lisinopril': ['zestril', 'prinivil'],
+    'enalapril': ['vasotec'],
+    'ramipril': ['altace', 'cardace'],
+    'losartan': ['cozaar', 'losar'],
+    'valsartan': ['diovan'],
+    'telmisartan': ['micardis', 'telma'],
+    'amlodipine': ['norvasc', 'amlong', 'amlopres'],
+    'metoprolol': ['lopressor', 'toprol', 'metolar'],
+    'atenolol': ['tenormin'],
+    'hydrochlorothiazide': ['hctz', 'microzide'],
+    'furosemide': ['frusemide', 'lasix'],
+    'metformin': ['glucophage', 'glycomet'],
+    'glipizide': ['glucotrol'],
+    'glyburide': ['glibenclamide', 'diabeta', 'daonil'],
+    'atorvastatin': ['lipitor', 'atorva', 'storvas'],
+    'simvastatin': ['zocor'],
+    'rosuvastatin': ['crestor', 'rosuvas'],
+    'omeprazole': ['prilosec', 'losec', 'omez'],
+    'esomeprazole': ['nexium'],
+    'pantoprazole': ['protonix', 'pantocid', 'pan 40'],
+    'levothyroxine': ['synthroid', 'levoxyl', 'eltroxin', 'thyronorm'],
+    'sertraline': ['zoloft', 'lustral'],
+    'fluoxetine': ['prozac'],
+    'citalopram': ['celexa', 'cipramil'],
+    'escitalopram': ['lexapro', 'cipralex'],
+    'warfarin': ['coumadin', 'jantoven', 'marevan'],
+    'clopidogrel': ['plavix', 'clopilet'],
+    'albuterol': ['salbutamol', 'ventolin', 'proair', 'asthalin'],
+    'epinephrine': ['adrenaline', 'epipen'],
+    'cetirizine': ['zyrtec', 'cetzine'],
+    'loratadine': ['claritin'],
+    'fexofenadine': ['allegra'],
+    'diphenhydramine': ['benadryl'],
+    'amoxicillin': ['amoxil'],
+    'azithromycin': ['zithromax', 'z-pak', 'azithral'],
+    'ciprofloxacin': ['cipro'],
+    'cephalexin': ['cefalexin', 'keflex'],
+    'gabapentin': ['neurontin'],
+    'tramadol': ['ultram'],
+    'meperidine': ['pethidine', 'demerol'],
+    'lidocaine': ['lignocaine', 'xylocaine'],
+    'sildenafil': ['viagra'],
+    'tadalafil': ['cialis'],
+    'zolpidem': ['ambien']
+};
+
+// Every known term -> canonical generic, longest first so "acetylsalicylic acid" wins over "asa"
+const TERMS = Object.entries(MEDICATION_SYNONYMS)
+    .flatMap(([generic, synonyms]) => [generic, ...synonyms].map(term => [term, generic]))
+    .sort((a, b) => b[0].length - a[0].length);
+
+function normalizeName(name) {
+    return String(name || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// Whole-word match; a strength written straight after the name ("dolo650") still counts
+function termPattern(term) {
+    const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^a-z0-9])${escaped}(?=$|[^a-z])`);
+}
+
+const PATTERNS = TERMS.map(([term, generic]) => ({ term, generic, pattern: termPattern(term) }));
+
+// Words that turn a brand into a combination product ("Tylenol PM", "Tylenol with Codeine")
+const COMBINATION_MARKERS = /(^|[^a-z])(pm|with|plus|cold|flu|sinus)($|[^a-z])|[+\/&]/;
+
+// Canonical generic for a single-ingredient medication name ("Dolo 650" -> 'acetaminophen'),
+// or null if unknown or a combination
+export function toGenericName(name) {
+    const text = normalizeName(name);
+    if (COMBINATION_MARKERS.test(text)) return null;
+
+    const generics = new Set(PATTERNS.filter(({ pattern }) => pattern.test(text)).map(({ generic }) => generic));
+    return generics.size === 1 ? [...generics][0] : null;
+}
+
+// The name followed by its generic when that is not already in it ("dolo 650 acetaminophen"),
+// for knowledge-base lookups that match generic names inside a medication name
+export function withGenericName(name) {
+    const text = normalizeName(name);
+    const generic = toGenericName(text);
+    return generic && !text.includes(generic) ? `${text} ${generic}` : text;
+}
+
+// Do two names refer to the same medication (same text, or the same canonical generic)?
+export function sameMedication(nameA, nameB) {
+    const a = normalizeName(nameA);
+    const b = normalizeName(nameB);
+    if (!a || !b) return false;
+    if (a === b) return true;
+
+    const genericA = toGenericName(a);
+    return genericA !== null && genericA === toGenericName(b);
+}
+
+// Medication names mentioned in free text, in order of appearance:
+// [{ term: text as written, generic, index }]
+export function findMedicationMentions(text) {
+    const lower = String(text || '').toLowerCase();
+    const mentions = [];
+
+    PATTERNS.forEach(({ term, generic }) => {
+        const pattern = new RegExp(termPattern(term).source, 'g');
+        let match;
+        while ((match = pattern.exec(lower)) !== null) {
+            const index = match.index + match[1].length;
+            // Skip terms inside a longer one already found ("asa" in "acetylsalicylic acid")
+            if (mentions.some(mention => index >= mention.index && index < mention.index + mention.term.length)) continue;
+            mentions.push({ term: String(text).substr(index, term.length), generic, index });
+        }
+    });
+
+    return mentions.sort((a, b) => a.index - b.index);
+}
@@ -0,0 +1,129 @@
+// Message Security - Origin allowlist and envelope validation for postMessage traffic
+// A window message is only handled when it comes from an expected window and a trusted origin, and
+// its envelope matches the protocol schema for its type (see embed-protocol.js). Anything else is
+// dropped and logged; a trusted parent page also gets an 'error' frame back.
+
+import { validateMessage, createErrorFrame, ERROR_CODES, PROTOCOL_VERSION } from './embed-protocol.js';
+
+// Normalize an origin ('https://ehr.example.com/' -> 'https://ehr.example.com'); null if not a URL origin
+export function toOrigin(value) {
+    try {
+        const origin = new URL(value, window.location.href).origin;
+        return origin === 'null' ? null : origin;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Host origins set when the iframe is built and deployed: VITE_OZWELL_TRUSTED_ORIGINS (comma separated)
+const DEPLOYED_ORIGINS = (import.meta.env?.VITE_OZWELL_TRUSTED_ORIGINS || '').split(',');
+
+// Origins the iframe accepts messages from: its own, the deployment's VITE_OZWELL_TRUSTED_ORIGINS,
+// plus those in window.OZWELL_TRUSTED_ORIGINS (set by the iframe page before its scripts load).
+// Nothing the page can change at runtime, such as localStorage, is trusted for this.
+export function getTrustedOrigins() {
+    return [...new Set([
+        window.location.origin,
+        ...DEPLOYED_ORIGINS,
+        ...(window.OZWELL_TRUSTED_ORIGINS || [])
+    ].map(origin => origin && toOrigin(origin.trim())).filter(Boolean))];
+}
+
+// Origin of the embedding page, once known and trusted: the origin of the last trusted message
+// from the parent, else the page that loaded the iframe
+let parentOrigin = null;
+
+export function getParentOrigin(trustedOrigins = getTrustedOrigins()) {
+    if (parentOrigin) return parentOrigin;
+
+    const candidate = window.location.ancestorOrigins?.[0] || (document.referrer ? toOrigin(document.referrer) : null);
+    return candidate && trustedOrigins.includes(candidate) ? candidate : null;
+}
+
+// Version and accepted message types announced by the host page in 'host-hello'; null until then
+// (hosts older than the protocol never send it)
+let hostInfo = null;
+
+export function setHostInfo(hello) {
+    hostInfo = { version: hello.version, capabilities: hello.capabilities };
+}
+
+export function getHostInfo() {
+    return hostInfo;
+}
+
+// Each rejected event is logged (and answered) once, however many listeners see it
+const rejectedEvents = new WeakSet();
+
+function reject(event, reason, code = null) {
+    if (!rejectedEvents.has(event)) {
+        rejectedEvents.add(event);
+        console.warn(`Rejected message from ${event.origin || 'unknown origin'}: ${reason}`, event.data);
+        
+        // Tell a trusted host what was wrong with its message
+        if (code) {
+            postToParent(createErrorFrame(event.data?.requestId, code, reason));
+        }
+    }
+    return false;
+}
+
+// Accept a message event inside the iframe: 'internal' messages from this window, 'host' messages
+// from the parent window on a trusted origin. Everything else is rejected and logged.
+export function acceptIframeMessage(event, trustedOrigins = getTrustedOrigins()) {
+    let direction;
+    if (event.source === window && event.origin === window.location.origin) {
+        direction = 'internal';
+    } else if (window.parent !== window && event.source === window.parent) {
+        if (!trustedOrigins.includes(event.origin)) {
+            return reject(event, 'origin is not trusted');
+        }
+        direction = 'host';
+    } else {
+        return reject(event, 'sender is neither this window nor the parent page');
+    }
+
+    if (direction === 'host') {
+        parentOrigin = event.origin;
+    }
+    
+    const result = validateMessage(event.data, [direction]);
+    return result.valid || reject(event, result.error, direction === 'host' ? result.code : null);
+}
+
+// Post a versioned message to the embedding page, never to an untrusted one, and only if the host
+// said it accepts the type. Returns false if nothing was sent
+export function postToParent(message) {
+    if (window.parent === window) return false;
+
+    const origin = getParentOrigin();
+    if (!origin) {
+        console.warn(`Not sending "${message.type}" to the parent page: its origin is not trusted`);
+        return false;
+    }
+    if (hostInfo && !hostInfo.capabilities.includes(message.type)) {
+        return false;
+    }
+    window.parent.postMessage({ ...message, version: PROTOCOL_VERSION }, origin);
+    return true;
+}
+
+// Answer a host request: the reply type for a successful result ({ success, ... }), an 'error' frame
+// (request-failed, with any warnings) otherwise
+export function replyToHost(requestId, type, result) {
+    if (!result.success) {
+        return postToParent(createErrorFrame(requestId, ERROR_CODES.requestFailed, result.error, result.warnings ? { warnings: result.warnings } : {}));
+    }
+    
+    return postToParent({
+        type: type,
+        requestId: requestId,
+        ...result,
+        timestamp: new Date().toISOString()
+    });
+}
+
+// Post a versioned message to listeners in this window only
+export function postToSelf(message) {
+    window.postMessage({ ...message, version: PROTOCOL_VERSION }, window.location.origin);
+}
@@ -1,4 +1,7 @@
 // Ozwell AI Integration for MCP Client - Updated for Real API
+import { medicalToolRegistry } from './medical-tools.js';
+import { findMedicationMentions } from './medication-names.js';
+
 class OzwellIntegration {
     constructor() {
         this.apiKey = null; // Will be loaded from .env file
@@ -15,21 +18,18 @@ class OzwellIntegration {
         this.systemPrompt = `You are Ozwell, a medical AI assistant integrated with a medical practice management system. You have access to the following tools:
 
 AVAILABLE TOOLS:
-- getContext(): Retrieve current patient medical information
-- addMedication(medication): Add a new medication (requires: name, dose, frequency, indication)
-- discontinueMedication(medication): Remove a medication from patient's list
-- addAllergy(allergy): Add a new allergy (requires: allergen, reaction, severity)
+${medicalToolRegistry.describeForPrompt()}
 
 IMPORTANT GUIDELINES:
 - ALWAYS use getContext() first if you don't have current patient information
 - For medication requests, extract medication details and add them using appropriate tools
-- Use standard medication names and dosages (e.g., "Dolo 650" = "Paracetamol 650mg")
+- Use generic medication names and standard dosages
 - Be proactive and use tools rather than asking for more information when details are clear
 - Provide brief, professional responses after tool execution
 
-MEDICATION EXAMPLES:
-- "dolo650" or "dolo 650" = Paracetamol 650mg for pain/fever
-- Common dosing: 650mg every 6-8 hours as needed, max 3000mg/day
+MEDICATION NAMES AND DOSES:
+- Brand and regional names (Tylenol, Crocin, Dolo, Advil, ...) are matched to their generic, so a record can be referred to by any of them
+- The tools check every dose against the generic's maximum daily dose; report their warnings instead of assuming a limit
 
 When you need to use a tool, format your response with:
 TOOL_CALL: {toolName}
@@ -517,34 +517,31 @@ PARAMS: {}`;
         // Now we have tools context, process the request intelligently
         console.log('*** Processing request with available tools ***');
 
-        // Check for medication-related requests
+        // Check for medication-related requests; a known brand or generic name with a strength
+        // ("dolo 650", "crocin 500") counts as one
+        const mention = findMedicationMentions(lastMessage)[0];
         if (msg.includes('prescribe') || msg.includes('add') || msg.includes('give') || 
-            (msg.includes('dolo') && (msg.includes('650') || msg.includes('paracetamol')))) {
+            (mention && /\d/.test(msg))) {
             
             console.log('*** Detected medication request ***');
             
-            // Extract medication information intelligently
-            let medicationName = '';
-            let dose = '';
-            let frequency = 'as needed';
-            let indication = '';
-
-            if (msg.includes('dolo') && msg.includes('650')) {
-                medicationName = 'Paracetamol';
-                dose = '650mg';
-                frequency = 'every 6-8 hours as needed';
-                indication = 'Pain and fever relief';
-            } else if (msg.includes('paracetamol')) {
-                medicationName = 'Paracetamol';
-                dose = msg.includes('650') ? '650mg' : '500mg';
-                frequency = 'every 6-8 hours as needed';
-                indication = 'Pain and fever relief';
-            } else {
-                // Default for unspecified medication
-                medicationName = 'Paracetamol';
-                dose = '650mg';
-                frequency = 'every 6-8 hours as needed';
-                indication = 'Pain and fever relief';
+            // Extract medication information intelligently; brand and regional names map to
+            // their generic ("Dolo 650" -> Paracetamol 650mg)
+            let medicationName = 'Paracetamol';
+            let dose = '650mg';
+            let frequency = 'every 6-8 hours as needed';
+            let indication = 'Pain and fever relief';
+
+            if (mention && mention.generic !== 'acetaminophen') {
+                medicationName = mention.generic.charAt(0).toUpperCase() + mention.generic.slice(1);
+                dose = '';
+                frequency = 'as directed';
+                indication = '';
+            }
+
+            const strength = mention && this.extractStrength(msg, mention.term.toLowerCase());
+            if (strength) {
+                dose = strength;
             }
 
             return `I'll add ${medicationName} ${dose} to the patient's medication list.
@@ -760,10 +757,7 @@ Please use this context when making clinical decisions and recommendations.`;
         this.systemPrompt = `You are Ozwell, a medical AI assistant integrated with a medical practice management system. You have access to the following tools:
 
 AVAILABLE TOOLS:
-- getContext(): Retrieve current patient medical information
-- addMedication(medication): Add a new medication (requires: name, dose, frequency, indication)
-- discontinueMedication(medication): Remove a medication from patient's list
-- addAllergy(allergy): Add a new allergy (requires: allergen, reaction, severity)
+${medicalToolRegistry.describeForPrompt()}
 
 IMPORTANT GUIDELINES:
 - Always check current patient context before making changes
@@ -811,15 +805,15 @@ ${toolsContext.currentContext ? `- Name: ${toolsContext.currentContext.name || '
 IMPORTANT GUIDELINES:
 - ALWAYS use getContext() first if you don't have current patient information or if context seems outdated
 - For medication requests, extract medication details and add them using appropriate tools
-- Use standard medication names and dosages (e.g., "Dolo 650" = "Paracetamol 650mg")
+- Use generic medication names and standard dosages
 - Be proactive and use tools rather than asking for more information when details are clear
 - Provide brief, professional responses after tool execution
 - Verify medication interactions and allergies before adding medications
 - Use clinically appropriate dosing and frequencies
 
-MEDICATION EXAMPLES:
-- "dolo650" or "dolo 650" = Paracetamol 650mg for pain/fever
-- Common dosing: 650mg every 6-8 hours as needed, max 3000mg/day
+MEDICATION NAMES AND DOSES:
+- Brand and regional names (Tylenol, Crocin, Dolo, Advil, ...) are matched to their generic, so a record can be referred to by any of them
+- The tools check every dose against the generic's maximum daily dose; report their warnings instead of assuming a limit
 
 When you need to use a tool, format your response with:
 TOOL_CALL: {toolName}
@@ -927,8 +921,17 @@ How can I assist you with this patient's care today?`;
         const msg = message.toLowerCase();
         return (msg.includes('add') || msg.includes('prescribe') || msg.includes('start') || 
                 msg.includes('give') || msg.includes('put on') || msg.includes('begin')) &&
-               (msg.includes('dolo') || msg.includes('medication') || msg.includes('paracetamol') ||
-                msg.includes('acetaminophen') || msg.includes('ibuprofen') || msg.match(/\d+mg/));
+               (msg.includes('medication') || findMedicationMentions(msg).length > 0 || msg.match(/\d+mg/));
+    }
+
+    // Strength written with or right after a medication name: "650mg", "dolo 650" -> "650mg"
+    extractStrength(msg, term) {
+        const withUnit = msg.match(/(\d+(?:\.\d+)?)\s*(mg|mcg|g|ml)\b/);
+        if (withUnit) {
+            return `${withUnit[1]}${withUnit[2]}`;
+        }
+        const afterName = msg.slice(msg.indexOf(term) + term.length).match(/^\s*(\d+(?:\.\d+)?)\b/);
+        return afterName ? `${afterName[1]}mg` : null;
     }
 
     // Generate medication response with patient context
@@ -962,21 +965,19 @@ How can I assist you with this patient's care today?`;
 
         // Intelligent extraction based on medical context
         if (msg.includes('pain') || msg.includes('headache') || msg.includes('fever')) {
-            if (msg.includes('ibuprofen') || msg.includes('advil')) {
+            // Brand and regional names (Advil, Tylenol, Dolo, Crocin, ...) resolve to their generic
+            const mention = findMedicationMentions(msg)[0];
+            const generic = mention?.generic;
+            if (generic === 'ibuprofen') {
                 medicationName = 'Ibuprofen';
                 dose = '400mg';
                 frequency = 'every 6-8 hours as needed';
                 indication = 'Pain and inflammation';
-            } else if (msg.includes('acetaminophen') || msg.includes('tylenol') || msg.includes('paracetamol')) {
+            } else if (generic === 'acetaminophen') {
                 medicationName = 'Acetaminophen';
-                dose = '500mg';
+                dose = this.extractStrength(msg, mention.term) || '500mg';
                 frequency = 'every 6 hours as needed';
                 indication = 'Pain and fever';
-            } else if (msg.includes('dolo')) {
-                medicationName = 'Paracetamol';
-                dose = '650mg';
-                frequency = 'every 6-8 hours as needed';
-                indication = 'Pain and fever relief';
             } else {
                 // Default pain medication
                 medicationName = 'Acetaminophen';
@@ -1116,13 +1117,11 @@ PARAMS: {"name": "${medicationName}", "dose": "${dose}", "frequency": "${frequen
             }
         }
 
-        // Also check for common medication names directly mentioned
-        const commonMeds = ['lisinopril', 'amoxicillin', 'metformin', 'ibuprofen', 'acetaminophen', 'dolo'];
-        for (const med of commonMeds) {
-            if (msg.includes(med)) {
-                medicationName = med.charAt(0).toUpperCase() + med.slice(1);
-                break;
-            }
+        // Also check for medication names directly mentioned (any brand or regional name;
+        // the data store resolves it to the saved record)
+        const mention = findMedicationMentions(msg)[0];
+        if (mention) {
+            medicationName = mention.term.charAt(0).toUpperCase() + mention.term.slice(1);
         }
 
         if (medicationName) {
@@ -0,0 +1,277 @@
+// Patient Registry - One chart per patient, keyed by patientId (or MRN), with one active patient
+// Each patient gets its own MedicalDataManager (own storage key, change history and undo stack),
+// so nothing is shared between charts. Tools, getContext and the chat always work on the
+// active patient; the host page selects it through the embed API (OzwellIframe.setActivePatient).
+
+import { MedicalDataManager, medicalDataStore, parsePatientContext } from './medical-data.js';
+
+// Host patient identifiers may not start with this, so no host patient can resolve to the demo chart's key
+const RESERVED_PREFIX = '#';
+
+// Registry key of the demo chart
+export const DEMO_PATIENT_ID = `${RESERVED_PREFIX}demo`;
+
+export class PatientRegistry {
+    constructor(options = {}) {
+        // The demo chart (stored under the original 'medicalData' key) is active until the host picks a patient
+        this.defaultStore = options.defaultStore || new MedicalDataManager(options);
+        this.defaultPatientId = DEMO_PATIENT_ID;
+        this.storageKey = options.storageKey || this.defaultStore.storageKey;
+        this.indexKey = `${this.storageKey}Patients`;
+
+        // patientId -> MedicalDataManager
+        this.stores = new Map([[this.defaultPatientId, this.defaultStore]]);
+        this.activePatientId = this.defaultPatientId;
+
+        // Listeners get the active chart's change events (tagged with patientId) and 'patientChanged'
+        this.listeners = new Set();
+        this.watch(this.defaultPatientId, this.defaultStore);
+
+        // Patients opened before, as [{ key, patientId, mrn, name }]: key is the chart's registry key,
+        // patientId and mrn the host's identifiers for it (null until the host has given them)
+        this.index = [];
+        this.ready = this.loadIndex();
+    }
+
+    async loadIndex() {
+        try {
+            // Entries saved before they had a key were keyed by patientId, or by the MRN when that was all the host gave
+            this.index = ((await this.defaultStore.storage.load(this.indexKey)) || []).map(entry => entry.key ? entry : {
+                key: entry.patientId,
+                patientId: entry.patientId !== entry.mrn ? entry.patientId : null,
+                mrn: entry.mrn || null,
+                name: entry.name || null
+            });
+        } catch (error) {
+            console.warn('Could not load the patient list from storage:', error);
+        }
+    }
+
+    async saveIndex() {
+        try {
+            await this.defaultStore.storage.save(this.indexKey, this.index);
+        } catch (error) {
+            console.warn('Could not save the patient list to storage:', error);
+        }
+    }
+
+    // Chart of the active patient
+    getActive() {
+        return this.stores.get(this.activePatientId);
+    }
+
+    getActivePatientId() {
+        return this.activePatientId;
+    }
+
+    // Chart of an opened patient, or undefined
+    get(patientId) {
+        return this.stores.get(patientId);
+    }
+
+    // The host's identifiers of a patient ({ patientId and/or mrn }) as strings, null when not given
+    getIdentifiers(patient) {
+        const identifiers = {
+            patientId: patient.patientId ? String(patient.patientId) : null,
+            mrn: patient.mrn ? String(patient.mrn) : null
+        };
+        if (Object.values(identifiers).some(value => value?.startsWith(RESERVED_PREFIX))) {
+            throw new Error(`Patient identifiers starting with "${RESERVED_PREFIX}" are reserved`);
+        }
+        return identifiers;
+    }
+
+    // Registry key for a patient ({ patientId and/or mrn }). patientId and MRN are matched through the
+    // patient index in both directions, so a patient selected by MRN and later by patientId (or the other
+    // way round) keeps one chart. Identifiers that belong to different charts are refused.
+    resolvePatientId(patient) {
+        const { patientId, mrn } = this.getIdentifiers(patient);
+
+        const found = (patientId && this.index.find(entry => entry.patientId === patientId))
+            || (mrn && this.index.find(entry => entry.mrn === mrn));
+        if (found) {
+            if (patientId && found.patientId && found.patientId !== patientId) {
+                throw new Error(`MRN ${mrn} belongs to patient ${found.patientId}, not ${patientId}`);
+            }
+            if (mrn && found.mrn && found.mrn !== mrn) {
+                throw new Error(`Patient ${patientId} has MRN ${found.mrn}, not ${mrn}`);
+            }
+            return found.key;
+        }
+
+        // A new chart; its key (patientId, else the MRN) must not be another patient's
+        const key = patientId || mrn;
+        if (this.index.some(entry => entry.key === key)) {
+            throw new Error(`${key} is already the key of another patient's chart`);
+        }
+        return key;
+    }
+
+    // Make a patient active. `patient` is a patientId, or { patientId and/or mrn, name, age, ... };
+    // demographics given by the host are written to the chart. Resolves with
+    // { success, patientId, patientInfo, created, message } or { success: false, error }.
+    async setActivePatient(patient, options = {}) {
+        try {
+            const info = typeof patient === 'string' ? { patientId: patient } : { ...(patient || {}) };
+            if (!info.patientId && !info.mrn) {
+                throw new Error('A patientId or mrn is required to select a patient');
+            }
+
+            const { patientId, store, created } = await this.open(info);
+
+            // Host demographics win over what is stored; the identifiers only select the chart
+            const updates = Object.fromEntries(Object.entries(info).filter(([field, value]) =>
+                field !== 'patientId' && field !== 'mrn' && value !== undefined && store.patientData.patientInfo?.[field] !== value
+            ));
+            if (Object.keys(updates).length > 0) {
+                store.updatePatientInfo(updates, { source: options.source || 'host' });
+            }
+
+            const previousPatientId = this.activePatientId;
+            this.activePatientId = patientId;
+            await this.remember(patientId, this.getIdentifiers(info), store.patientData.patientInfo);
+
+            const patientInfo = store.patientData.patientInfo;
+            if (previousPatientId !== patientId) {
+                this.notify({ type: 'patientChanged', patientId, previousPatientId, patientInfo, source: options.source || 'host' });
+            }
+
+            return {
+                success: true,
+                patientId: patientId,
+                patientInfo: patientInfo,
+                created: created,
+                message: `Active patient: ${patientInfo?.name || patientId} (${patientId})`
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // Load the host's record for a patient (FHIR Bundle or JSON, see parsePatientContext) as the chart's
+    // source of truth and make that patient active. Resolves like setActivePatient, plus `unmapped`.
+    async loadPatientContext(context, options = {}) {
+        try {
+            const info = parsePatientContext(context).patientData.patientInfo;
+            if (!info.patientId && !info.mrn) {
+                throw new Error('The patient record needs a patientId or mrn');
+            }
+
+            const { patientId, store, created } = await this.open(info);
+            const loaded = store.loadPatientContext(context, { source: options.source || 'host' });
+            if (!loaded.success) {
+                return loaded;
+            }
+
+            const selected = await this.setActivePatient({ patientId: info.patientId, mrn: info.mrn }, options);
+            return {
+                ...selected,
+                created: created,
+                message: `${loaded.message} for ${info.name || patientId} (${patientId})`,
+                unmapped: loaded.unmapped
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // Chart for a patient ({ patientId and/or mrn, ... }), created empty if not opened before.
+    // The chart is added to the index right away, so its identifiers are reserved for it.
+    async open(info) {
+        await this.ready;
+        const patientId = this.resolvePatientId(info);
+        const created = !this.index.some(entry => entry.key === patientId);
+        if (created) {
+            await this.remember(patientId, this.getIdentifiers(info), info);
+        }
+        const store = this.stores.get(patientId) || this.createStore(patientId, info);
+        await store.ready;
+        return { patientId, store, created };
+    }
+
+    createStore(patientId, info) {
+        const store = new MedicalDataManager({
+            storage: this.defaultStore.storage,
+            storageKey: `${this.storageKey}:${patientId}`,
+            patientInfo: { name: info.name || 'Unknown Patient', ...info, patientId }
+        });
+        this.stores.set(patientId, store);
+        this.watch(patientId, store);
+        return store;
+    }
+
+    // Forward a chart's change events while it is the active one
+    watch(patientId, store) {
+        store.subscribe(change => {
+            if (patientId === this.activePatientId) {
+                this.notify({ ...change, patientId });
+            }
+        });
+    }
+
+    // Record a chart in the index with the identifiers the host used for it; identifiers already recorded are kept
+    async remember(key, identifiers, patientInfo = {}) {
+        const existing = this.index.findIndex(item => item.key === key);
+        const previous = this.index[existing] || {};
+        const entry = {
+            key: key,
+            patientId: previous.patientId || identifiers.patientId,
+            mrn: previous.mrn || identifiers.mrn,
+            name: patientInfo.name || previous.name || null
+        };
+        if (existing !== -1 && JSON.stringify(this.index[existing]) === JSON.stringify(entry)) return;
+
+        if (existing === -1) {
+            this.index.push(entry);
+        } else {
+            this.index[existing] = entry;
+        }
+        await this.saveIndex();
+    }
+
+    // Patients opened so far: [{ patientId, mrn, name, active }], patientId being the chart's registry key
+    listPatients() {
+        const entries = new Map(this.index.map(entry => [entry.key, { patientId: entry.key, mrn: entry.mrn, name: entry.name }]));
+        this.stores.forEach((store, patientId) => {
+            const patientInfo = store.patientData.patientInfo || {};
+            entries.set(patientId, { patientId, mrn: entries.get(patientId)?.mrn || patientInfo.mrn || null, name: patientInfo.name || null });
+        });
+
+        return Array.from(entries.values()).map(entry => ({ ...entry, active: entry.patientId === this.activePatientId }));
+    }
+
+    // Switch every open chart (and charts opened later) to another storage backend
+    async setStorage(storage) {
+        for (const store of this.stores.values()) {
+            await store.setStorage(storage);
+        }
+        await this.loadIndex();
+    }
+
+    // Subscribe to the active chart's changes and to patient switches; returns unsubscribe
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify(event) {
+        this.listeners.forEach(listener => {
+            try {
+                listener(event);
+            } catch (error) {
+                console.error('Patient registry listener failed:', error);
+            }
+        });
+    }
+}
+
+// Registry shared by the MCP server and the chat UI in this window
+export const patientRegistry = new PatientRegistry({ defaultStore: medicalDataStore });
@@ -0,0 +1,94 @@
+// PostMessage Transport - MCP JSON-RPC over window.postMessage
+// Implements the MCP SDK Transport contract so a Server or Client can talk across
+// windows (iframe <-> host page, or within the same window)
+
+import { JSONRPCMessageSchema } from '@modelcontextprotocol/sdk/types.js';
+
+// Envelope type used for every JSON-RPC frame carried by this transport
+export const MCP_JSONRPC_MESSAGE_TYPE = 'mcp-jsonrpc';
+
+export class PostMessageTransport {
+    constructor(options = {}) {
+        // Window we post to, and the window we accept messages from
+        this.target = options.target || window.parent;
+        this.source = options.source || this.target;
+        // targetOrigin may be a function, resolved on every send (e.g. a parent origin learned later).
+        // Frames are only accepted from allowedOrigins (default: the target origin, when fixed)
+        this.targetOrigin = options.targetOrigin || '*';
+        this.allowedOrigins = options.allowedOrigins
+            || (typeof this.targetOrigin === 'string' && this.targetOrigin !== '*' ? [this.targetOrigin] : null);
+
+        // Channel lets several MCP connections share the same pair of windows
+        this.channel = options.channel || 'medical-mcp';
+
+        // Role ('client' or 'server') stops a transport from consuming its own frames
+        // when both ends live in the same window
+        this.role = options.role || 'server';
+
+        this.sessionId = options.sessionId;
+        this._started = false;
+
+        // Arrow function to bind `this` while keeping a stable reference for removal
+        this._onWindowMessage = (event) => {
+            this.handleWindowMessage(event);
+        };
+    }
+
+    async start() {
+        if (this._started) {
+            throw new Error('PostMessageTransport already started! If using Server or Client, note that connect() calls start() automatically.');
+        }
+
+        this._started = true;
+        window.addEventListener('message', this._onWindowMessage);
+    }
+
+    handleWindowMessage(event) {
+        const data = event.data;
+
+        if (!data || data.type !== MCP_JSONRPC_MESSAGE_TYPE) {
+            return;
+        }
+
+        // Only accept frames from the expected window, on our channel, sent by the other end
+        if (event.source !== this.source || data.channel !== this.channel || data.sender === this.role) {
+            return;
+        }
+
+        if (this.allowedOrigins && !this.allowedOrigins.includes(event.origin)) {
+            this.onerror?.(new Error(`Rejected JSON-RPC frame from untrusted origin ${event.origin}`));
+            return;
+        }
+
+        try {
+            const message = JSONRPCMessageSchema.parse(data.message);
+            this.onmessage?.(message);
+        } catch (error) {
+            this.onerror?.(new Error(`Invalid JSON-RPC message on channel ${this.channel}: ${error.message}`));
+        }
+    }
+
+    async send(message) {
+        if (!this._started) {
+            throw new Error('PostMessageTransport not started');
+        }
+
+        const targetOrigin = typeof this.targetOrigin === 'function' ? this.targetOrigin() : this.targetOrigin;
+        if (!targetOrigin) {
+            throw new Error(`No trusted origin to send to on channel ${this.channel}`);
+        }
+
+        this.target.postMessage({
+            type: MCP_JSONRPC_MESSAGE_TYPE,
+            channel: this.channel,
+            sender: this.role,
+            message: message
+        }, targetOrigin);
+    }
+
+    async close() {
+        window.removeEventListener('message', this._onWindowMessage);
+        this._started = false;
+        this.onclose?.();
+    }
+}
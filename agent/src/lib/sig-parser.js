@@ -0,0 +1,230 @@
+// Sig Parser - Structured dosing from free-text dose and frequency ("650mg q6h prn", "1 tab BID",
+// "every 6-8 hours as needed"). The result is stored next to the original text as `medication.sig`:
+// {
+//   text,                          original dose and frequency
+//   amount, amountMax, unit,       amount per administration ("1-2 tabs" -> 1, 2, 'tablet')
+//   strength,                      { value, unit } per tablet/capsule/... when given ("500mg 1 tab")
+//   route,                         'oral', 'intravenous', ... (null when not stated or implied)
+//   interval,                      { hours, maxHours } for "q6h" / "every 6-8 hours", else null
+//   timesPerDay,                   most administrations per day the sig allows (null if unknown)
+//   prn, prnReason,                as-needed flag and reason ("prn pain" -> 'pain')
+//   maxDosesPerDay, maxDailyDose,  explicit caps ("max 4 doses/day", "max 4000 mg/day")
+//   parsed                         true when amount, unit and frequency (or PRN) were all recognized
+// }
+
+const UNITS = [
+    ['mcg', ['mcg', 'µg', 'ug', 'micrograms', 'microgram']],
+    ['mg', ['mg', 'milligrams', 'milligram']],
+    ['g', ['g', 'gm', 'grams', 'gram']],
+    ['mL', ['ml', 'mls', 'milliliters', 'milliliter', 'millilitres', 'millilitre']],
+    ['units', ['units', 'unit', 'iu']],
+    ['mEq', ['meq']],
+    ['tablet', ['tablets', 'tablet', 'tabs', 'tab']],
+    ['capsule', ['capsules', 'capsule', 'caps', 'cap']],
+    ['puff', ['puffs', 'puff']],
+    ['drop', ['drops', 'drop', 'gtts', 'gtt']],
+    ['patch', ['patches', 'patch']],
+    ['spray', ['sprays', 'spray']],
+    ['suppository', ['suppositories', 'suppository', 'supp']],
+    ['sachet', ['sachets', 'sachet']],
+    ['tsp', ['teaspoons', 'teaspoon', 'tsp']],
+    ['tbsp', ['tablespoons', 'tablespoon', 'tbsp']],
+    ['application', ['applications', 'application']]
+];
+
+// Units that count dosage forms rather than measure the drug
+const COUNT_UNITS = ['tablet', 'capsule', 'puff', 'drop', 'patch', 'spray', 'suppository', 'sachet', 'application'];
+
+// Route implied by a dosage form when none is written
+const IMPLIED_ROUTES = { tablet: 'oral', capsule: 'oral', puff: 'inhaled', patch: 'transdermal', suppository: 'rectal' };
+
+const ROUTES = [
+    ['oral', ['po', 'by mouth', 'orally', 'oral']],
+    ['sublingual', ['sl', 'sublingual', 'under the tongue']],
+    ['intravenous', ['iv', 'intravenous', 'intravenously']],
+    ['intramuscular', ['im', 'intramuscular', 'intramuscularly']],
+    ['subcutaneous', ['sc', 'sq', 'subq', 'subcut', 'subcutaneous', 'subcutaneously']],
+    ['inhaled', ['inh', 'inhaled', 'inhalation', 'via inhaler']],
+    ['topical', ['top', 'topical', 'topically', 'apply to skin']],
+    ['transdermal', ['td', 'transdermal']],
+    ['rectal', ['pr', 'rectal', 'rectally', 'per rectum']],
+    ['nasal', ['intranasal', 'nasal', 'in each nostril']],
+    ['ophthalmic', ['ophthalmic', 'in each eye', 'in the eye']]
+];
+
+// Named frequencies, most specific first -> administrations per day
+const FREQUENCIES = [
+    [4, ['qid', 'four times a day', 'four times daily', 'four times per day']],
+    [3, ['tid', 'three times a day', 'three times daily', 'three times per day', 'with meals']],
+    [2, ['bid', 'twice a day', 'twice daily', 'twice per day', 'two times a day', 'two times daily']],
+    [1, ['once daily', 'once a day', 'once per day', 'qd', 'daily', 'every day', 'every morning', 'qam', 'every evening', 'qpm', 'at bedtime', 'qhs', 'nightly', 'at night', 'in the morning']],
+    [0.5, ['every other day', 'qod', 'alternate days']],
+    [1 / 7, ['once weekly', 'once a week', 'weekly', 'every week', 'qwk']]
+];
+
+const PRN_TERMS = ['prn', 'as needed', 'as required', 'when required', 'if needed'];
+
+const NUMBER_WORDS = { half: 0.5, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6 };
+
+const escape = (term) => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const alternation = (terms) => terms.slice().sort((a, b) => b.length - a.length).map(escape).join('|');
+const termPattern = (terms) => new RegExp(`(?:^|[^a-z0-9µ])(?:${alternation(terms)})(?=$|[^a-z0-9])`);
+
+const UNIT_PATTERN = alternation(UNITS.flatMap(([, aliases]) => aliases));
+const NUMBER_PATTERN = `\\d+(?:\\.\\d+)?|\\d+\\/\\d+|${Object.keys(NUMBER_WORDS).join('|')}`;
+
+function toNumber(text) {
+    if (text in NUMBER_WORDS) return NUMBER_WORDS[text];
+    if (text.includes('/')) {
+        const [numerator, denominator] = text.split('/').map(Number);
+        return numerator / denominator;
+    }
+    return Number(text);
+}
+
+function normalizeUnit(text) {
+    const entry = UNITS.find(([, aliases]) => aliases.includes(text));
+    return entry ? entry[0] : text;
+}
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+// "b.i.d." -> "bid", "Q6H" -> "q6h", collapse whitespace
+function normalizeText(text) {
+    return text.toLowerCase().replace(/([a-z])\./g, '$1').replace(/\s+/g, ' ').trim();
+}
+
+// Explicit daily caps; removed from the text so their amounts are not read as the dose
+function extractMaximums(text) {
+    const result = { maxDosesPerDay: null, maxDailyDose: null };
+    const pattern = new RegExp(`\\b(?:max(?:imum)?|not to exceed|do not exceed|no more than)\\s*(?:of\\s*)?(\\d+(?:\\.\\d+)?)\\s*(${UNIT_PATTERN}|doses?|times)?\\s*(?:\\/|per|a|in|each)\\s*(?:24\\s*(?:h|hrs?|hours?)|day|d)\\b`, 'g');
+
+    const remaining = text.replace(pattern, (match, value, unit) => {
+        if (!unit || /^(doses?|times)$/.test(unit)) {
+            result.maxDosesPerDay = Number(value);
+        } else {
+            result.maxDailyDose = { value: Number(value), unit: normalizeUnit(unit) };
+        }
+        return ' ';
+    });
+
+    return { ...result, text: remaining };
+}
+
+function parseAmounts(text) {
+    const pattern = new RegExp(`(?:^|[^a-z0-9.])(${NUMBER_PATTERN})(?:\\s*(?:-|to)\\s*(${NUMBER_PATTERN}))?\\s*(${UNIT_PATTERN})(?=$|[^a-z0-9])`, 'g');
+    const amounts = [];
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        amounts.push({
+            value: toNumber(match[1]),
+            max: match[2] ? toNumber(match[2]) : null,
+            unit: normalizeUnit(match[3])
+        });
+    }
+
+    // "500mg, 1 tab" -> 1 tablet of 500 mg
+    const count = amounts.find(amount => COUNT_UNITS.includes(amount.unit));
+    const measure = amounts.find(amount => !COUNT_UNITS.includes(amount.unit));
+    if (count) {
+        return { amount: count, strength: measure ? { value: measure.value, unit: measure.unit } : null };
+    }
+    return { amount: measure || null, strength: null };
+}
+
+function parseInterval(text) {
+    const hourly = new RegExp(`\\b(?:q|every)\\s*(${NUMBER_PATTERN})(?:\\s*(?:-|to)\\s*(${NUMBER_PATTERN}))?\\s*(?:h|hr|hrs|hour|hours)\\b`).exec(text);
+    if (hourly) {
+        return { hours: toNumber(hourly[1]), maxHours: hourly[2] ? toNumber(hourly[2]) : null };
+    }
+    if (/\b(?:hourly|every hour)\b/.test(text)) {
+        return { hours: 1, maxHours: null };
+    }
+
+    const daily = new RegExp(`\\b(?:q\\s*(\\d+)\\s*d|every\\s*(${NUMBER_PATTERN})\\s*days?)\\b`).exec(text);
+    if (daily) {
+        return { hours: toNumber(daily[1] || daily[2]) * 24, maxHours: null };
+    }
+
+    return null;
+}
+
+function parseTimesPerDay(text) {
+    const counted = new RegExp(`\\b(${NUMBER_PATTERN})\\s*(?:x|times)\\s*(?:a|per|each|\\/)?\\s*(?:day|daily|d)\\b`).exec(text);
+    if (counted) {
+        return toNumber(counted[1]);
+    }
+
+    const named = FREQUENCIES.find(([, terms]) => termPattern(terms).test(text));
+    return named ? named[0] : null;
+}
+
+function parsePRN(text) {
+    const prn = termPattern(PRN_TERMS).test(text);
+    if (!prn) return { prn: false, prnReason: null };
+
+    const reason = new RegExp(`(?:${alternation(PRN_TERMS)})\\s+(?:for\\s+)?([a-z]+(?:\\s+[a-z]+)?)`).exec(text);
+    const stopWords = /^(every|q\d|max|maximum|not|do|no|up|and|or|daily|at|with|then|per|for)\b/;
+    const prnReason = reason && !stopWords.test(reason[1])
+        ? reason[1].split(' ').filter((word, index) => index === 0 || !stopWords.test(word)).join(' ')
+        : null;
+
+    return { prn: true, prnReason };
+}
+
+// Parse a dose and frequency (either may hold the whole sig) into structured form
+export function parseSig(dose = '', frequency = '') {
+    const original = [dose, frequency].filter(Boolean).join(' ').trim();
+    const { maxDosesPerDay, maxDailyDose, text } = extractMaximums(normalizeText(original));
+
+    const { amount, strength } = parseAmounts(text);
+    const route = ROUTES.find(([, terms]) => termPattern(terms).test(text))?.[0]
+        || (amount && IMPLIED_ROUTES[amount.unit])
+        || null;
+
+    const interval = parseInterval(text);
+    let timesPerDay = interval ? round(24 / interval.hours) : parseTimesPerDay(text);
+    if (timesPerDay !== null) timesPerDay = round(timesPerDay);
+    if (maxDosesPerDay !== null && (timesPerDay === null || maxDosesPerDay < timesPerDay)) {
+        timesPerDay = maxDosesPerDay;
+    }
+
+    const { prn, prnReason } = parsePRN(text);
+
+    return {
+        text: original,
+        amount: amount ? amount.value : null,
+        amountMax: amount ? amount.max : null,
+        unit: amount ? amount.unit : null,
+        strength: strength,
+        route: route,
+        interval: interval,
+        timesPerDay: timesPerDay,
+        prn: prn,
+        prnReason: prnReason,
+        maxDosesPerDay: maxDosesPerDay,
+        maxDailyDose: maxDailyDose,
+        parsed: !!amount && (timesPerDay !== null || prn)
+    };
+}
+
+// Short normalized rendering, e.g. "650 mg oral q6h PRN pain" or "1 tablet (500 mg) oral 2x/day"
+export function formatSig(sig) {
+    if (!sig || !sig.parsed) return sig?.text || '';
+
+    const parts = [];
+    const amount = sig.amountMax ? `${sig.amount}-${sig.amountMax}` : `${sig.amount}`;
+    parts.push(`${amount} ${sig.unit}`);
+    if (sig.strength) parts.push(`(${sig.strength.value} ${sig.strength.unit})`);
+    if (sig.route) parts.push(sig.route);
+    if (sig.interval) {
+        parts.push(`q${sig.interval.hours}${sig.interval.maxHours ? `-${sig.interval.maxHours}` : ''}h`);
+    } else if (sig.timesPerDay !== null) {
+        parts.push(sig.timesPerDay >= 1 ? `${sig.timesPerDay}x/day` : `every ${Math.round(1 / sig.timesPerDay)} days`);
+    }
+    if (sig.prn) parts.push(`PRN${sig.prnReason ? ` ${sig.prnReason}` : ''}`);
+    if (sig.maxDosesPerDay !== null) parts.push(`max ${sig.maxDosesPerDay}/day`);
+    if (sig.maxDailyDose) parts.push(`max ${sig.maxDailyDose.value} ${sig.maxDailyDose.unit}/day`);
+
+    return parts.join(' ');
+}
@@ -0,0 +1,354 @@
+// Storage Adapters - Pluggable persistence for MedicalDataManager
+// Every adapter stores JSON values by key and implements:
+//   async load(key)          -> value or null
+//   async save(key, value)   -> replace the value
+//   async update(key, patch) -> shallow-merge top-level fields, resolves with the merged value
+//   async remove(key)
+//   subscribe(listener)      -> listener({ key, value, external }) on every change; returns unsubscribe
+// `external` is true when the change came from outside this adapter (another tab, the remote EHR)
+
+const clone = (value) => (value === null || value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+export class StorageAdapter {
+    constructor() {
+        this.listeners = new Set();
+    }
+
+    async load(key) {
+        throw new Error(`${this.constructor.name} does not implement load()`);
+    }
+
+    async save(key, value) {
+        throw new Error(`${this.constructor.name} does not implement save()`);
+    }
+
+    async remove(key) {
+        throw new Error(`${this.constructor.name} does not implement remove()`);
+    }
+
+    // Default partial update: read, merge, write
+    async update(key, patch) {
+        const current = await this.load(key);
+        const value = { ...(current || {}), ...patch };
+        await this.save(key, value);
+        return value;
+    }
+
+    subscribe(listener) {
+        this.listeners.add(listener);
+        if (this.listeners.size === 1) {
+            this.startWatching();
+        }
+
+        return () => {
+            this.listeners.delete(listener);
+            if (this.listeners.size === 0) {
+                this.stopWatching();
+            }
+        };
+    }
+
+    // Hooks for adapters that watch an outside source for changes
+    startWatching() {}
+    stopWatching() {}
+
+    notify(key, value, external = false) {
+        this.listeners.forEach(listener => {
+            try {
+                listener({ key, value: clone(value), external });
+            } catch (error) {
+                console.error('Storage change listener failed:', error);
+            }
+        });
+    }
+}
+
+// window.localStorage (the original behaviour); other tabs are picked up through 'storage' events
+export class LocalStorageAdapter extends StorageAdapter {
+    constructor(options = {}) {
+        super();
+        this.prefix = options.prefix || '';
+
+        this._onStorage = (event) => {
+            if (!event.key || !event.key.startsWith(this.prefix)) return;
+            const key = event.key.slice(this.prefix.length);
+            try {
+                this.notify(key, event.newValue ? JSON.parse(event.newValue) : null, true);
+            } catch (error) {
+                console.warn(`Ignoring unreadable storage value for ${key}:`, error);
+            }
+        };
+    }
+
+    async load(key) {
+        const stored = localStorage.getItem(this.prefix + key);
+        return stored ? JSON.parse(stored) : null;
+    }
+
+    async save(key, value) {
+        localStorage.setItem(this.prefix + key, JSON.stringify(value));
+        this.notify(key, value);
+    }
+
+    async remove(key) {
+        localStorage.removeItem(this.prefix + key);
+        this.notify(key, null);
+    }
+
+    startWatching() {
+        window.addEventListener('storage', this._onStorage);
+    }
+
+    stopWatching() {
+        window.removeEventListener('storage', this._onStorage);
+    }
+}
+
+// Plain in-memory store, for tests and throwaway sessions
+export class MemoryStorageAdapter extends StorageAdapter {
+    constructor(options = {}) {
+        super();
+        this.data = new Map(Object.entries(options.initialData || {}).map(([key, value]) => [key, clone(value)]));
+    }
+
+    async load(key) {
+        return this.data.has(key) ? clone(this.data.get(key)) : null;
+    }
+
+    async save(key, value) {
+        this.data.set(key, clone(value));
+        this.notify(key, value);
+    }
+
+    async remove(key) {
+        this.data.delete(key);
+        this.notify(key, null);
+    }
+}
+
+// IndexedDB, for charts too large for localStorage. Other tabs are notified over a BroadcastChannel.
+export class IndexedDBStorageAdapter extends StorageAdapter {
+    constructor(options = {}) {
+        super();
+        this.databaseName = options.databaseName || 'ozwell-medical';
+        this.storeName = options.storeName || 'records';
+        this.dbPromise = null;
+        this.channel = null;
+    }
+
+    openDatabase() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.databaseName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName);
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    // Run fn(store) in one transaction and resolve with its result once the transaction commits
+    async transaction(mode, fn) {
+        const db = await this.openDatabase();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            let result;
+            Promise.resolve(fn(tx.objectStore(this.storeName))).then(value => { result = value; }, reject);
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+
+    request(idbRequest) {
+        return new Promise((resolve, reject) => {
+            idbRequest.onsuccess = () => resolve(idbRequest.result);
+            idbRequest.onerror = () => reject(idbRequest.error);
+        });
+    }
+
+    async load(key) {
+        const value = await this.transaction('readonly', store => this.request(store.get(key)));
+        return value === undefined ? null : value;
+    }
+
+    async save(key, value) {
+        await this.transaction('readwrite', store => this.request(store.put(clone(value), key)));
+        this.broadcast(key);
+        this.notify(key, value);
+    }
+
+    // Read-merge-write inside a single transaction
+    async update(key, patch) {
+        const value = await this.transaction('readwrite', async store => {
+            const current = await this.request(store.get(key));
+            const merged = { ...(current || {}), ...clone(patch) };
+            await this.request(store.put(merged, key));
+            return merged;
+        });
+        this.broadcast(key);
+        this.notify(key, value);
+        return value;
+    }
+
+    async remove(key) {
+        await this.transaction('readwrite', store => this.request(store.delete(key)));
+        this.broadcast(key);
+        this.notify(key, null);
+    }
+
+    broadcast(key) {
+        this.channel?.postMessage({ key });
+    }
+
+    startWatching() {
+        if (typeof BroadcastChannel === 'undefined') return;
+        this.channel = new BroadcastChannel(`${this.databaseName}:${this.storeName}`);
+        this.channel.onmessage = async (event) => {
+            const key = event.data?.key;
+            if (!key) return;
+            try {
+                this.notify(key, await this.load(key), true);
+            } catch (error) {
+                console.warn(`Could not reload ${key} from IndexedDB:`, error);
+            }
+        };
+    }
+
+    stopWatching() {
+        this.channel?.close();
+        this.channel = null;
+    }
+}
+
+// REST adapter that syncs with a host EHR endpoint:
+//   GET    {baseUrl}/{key}  -> JSON value (404 = not stored)
+//   PUT    {baseUrl}/{key}  <- JSON value
+//   PATCH  {baseUrl}/{key}  <- JSON merge patch (application/merge-patch+json), responds with the merged value
+//   DELETE {baseUrl}/{key}
+// Remote changes are detected by polling every pollInterval ms while someone is subscribed.
+export class RestStorageAdapter extends StorageAdapter {
+    constructor(options = {}) {
+        super();
+        if (!options.baseUrl) {
+            throw new Error('RestStorageAdapter requires a baseUrl');
+        }
+
+        this.baseUrl = options.baseUrl.replace(/\/$/, '');
+        this.headers = options.headers || {};
+        this.fetch = options.fetch || ((...args) => fetch(...args));
+        this.pollInterval = options.pollInterval ?? 30000;
+        this.pollTimer = null;
+
+        // Last known ETag and body per key, so polling only reports real changes
+        this.etags = new Map();
+        this.snapshots = new Map();
+    }
+
+    url(key) {
+        return `${this.baseUrl}/${encodeURIComponent(key)}`;
+    }
+
+    async send(method, key, body, extraHeaders = {}) {
+        const response = await this.fetch(this.url(key), {
+            method,
+            headers: {
+                'Accept': 'application/json',
+                ...(body !== undefined ? { 'Content-Type': method === 'PATCH' ? 'application/merge-patch+json' : 'application/json' } : {}),
+                ...this.headers,
+                ...extraHeaders
+            },
+            body: body !== undefined ? JSON.stringify(body) : undefined
+        });
+
+        if (!response.ok && response.status !== 404 && response.status !== 304) {
+            throw new Error(`${method} ${this.url(key)} failed: ${response.status} ${response.statusText}`);
+        }
+
+        const etag = response.headers?.get?.('ETag');
+        if (etag) this.etags.set(key, etag);
+        return response;
+    }
+
+    async readBody(response) {
+        const text = await response.text();
+        return text ? JSON.parse(text) : null;
+    }
+
+    async load(key) {
+        const response = await this.send('GET', key);
+        const value = response.status === 404 ? null : await this.readBody(response);
+        this.snapshots.set(key, JSON.stringify(value));
+        return value;
+    }
+
+    async save(key, value) {
+        await this.send('PUT', key, value);
+        this.snapshots.set(key, JSON.stringify(value));
+        this.notify(key, value);
+    }
+
+    async update(key, patch) {
+        const response = await this.send('PATCH', key, patch);
+        const value = (await this.readBody(response)) || { ...((await this.load(key)) || {}) };
+        this.snapshots.set(key, JSON.stringify(value));
+        this.notify(key, value);
+        return value;
+    }
+
+    async remove(key) {
+        await this.send('DELETE', key);
+        this.snapshots.set(key, 'null');
+        this.notify(key, null);
+    }
+
+    // Re-fetch every key loaded so far and report the ones that changed on the server
+    async poll() {
+        for (const key of this.snapshots.keys()) {
+            try {
+                const etag = this.etags.get(key);
+                const response = await this.send('GET', key, undefined, etag ? { 'If-None-Match': etag } : {});
+                if (response.status === 304) continue;
+
+                const value = response.status === 404 ? null : await this.readBody(response);
+                const serialized = JSON.stringify(value);
+                if (serialized !== this.snapshots.get(key)) {
+                    this.snapshots.set(key, serialized);
+                    this.notify(key, value, true);
+                }
+            } catch (error) {
+                console.warn(`Polling ${key} from ${this.baseUrl} failed:`, error);
+            }
+        }
+    }
+
+    startWatching() {
+        if (this.pollInterval > 0) {
+            this.pollTimer = setInterval(() => this.poll(), this.pollInterval);
+        }
+    }
+
+    stopWatching() {
+        clearInterval(this.pollTimer);
+        this.pollTimer = null;
+    }
+}
+
+// Build an adapter by name: 'local' (default), 'memory', 'indexeddb' or 'rest'
+export function createStorageAdapter(type = 'local', options = {}) {
+    switch (type) {
+        case 'memory':
+            return new MemoryStorageAdapter(options);
+        case 'indexeddb':
+            return new IndexedDBStorageAdapter(options);
+        case 'rest':
+            return new RestStorageAdapter(options);
+        case 'local':
+            return new LocalStorageAdapter(options);
+        default:
+            throw new Error(`Unknown storage adapter: ${type}`);
+    }
+}
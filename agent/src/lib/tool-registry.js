@@ -0,0 +1,116 @@
+// Tool Registry - Single source of truth for MCP tools
+// A tool is declared once (name, description, zod schema, handler, result formatter) and
+// the MCP tools/list, LLM function definitions, prompts and chat formatting are generated from it
+
+import { zodToJsonSchema } from 'zod-to-json-schema';
+
+// Convert a zod schema into a plain JSON Schema object that can be sent over postMessage/JSON-RPC
+export function toJSONSchema(schema) {
+    const { $schema, ...jsonSchema } = zodToJsonSchema(schema, { $refStrategy: 'none' });
+    return jsonSchema;
+}
+
+export class ToolRegistry {
+    constructor() {
+        this.tools = new Map();
+    }
+
+    // Register a tool: { name, description, inputSchema (zod), handler(args, context, meta), formatResult(data, message),
+    // readOnly, previewChange(args, patientContext) -> { before, after } }
+    register(tool) {
+        if (!tool.name || typeof tool.handler !== 'function') {
+            throw new Error('Tool registration requires a name and a handler');
+        }
+
+        if (this.tools.has(tool.name)) {
+            throw new Error(`Tool ${tool.name} is already registered`);
+        }
+
+        this.tools.set(tool.name, tool);
+        return this;
+    }
+
+    get(name) {
+        return this.tools.get(name);
+    }
+
+    has(name) {
+        return this.tools.has(name);
+    }
+
+    list() {
+        return Array.from(this.tools.values());
+    }
+
+    getNames() {
+        return Array.from(this.tools.keys());
+    }
+
+    // Serializable tool definitions (MCP tools/list format)
+    getDefinitions() {
+        return this.list().map(tool => ({
+            name: tool.name,
+            description: tool.description,
+            inputSchema: tool.inputSchema ? toJSONSchema(tool.inputSchema) : { type: 'object', properties: {} },
+            // MCP tool annotation: read-only tools never modify the chart
+            annotations: { readOnlyHint: !!tool.readOnly }
+        }));
+    }
+
+    // Validate arguments against the tool schema and run its handler.
+    // meta carries request details such as the change source ('ai', 'host', ...)
+    async execute(name, args, context, meta = {}) {
+        const tool = this.tools.get(name);
+        if (!tool) {
+            throw new Error(`Unknown tool: ${name}`);
+        }
+
+        let validatedArgs = args;
+        if (tool.inputSchema) {
+            const parsed = tool.inputSchema.safeParse(args || {});
+            if (!parsed.success) {
+                // One readable line per issue, so the model can correct its call
+                const issues = parsed.error.issues.map(issue => `${issue.path.join('.') || 'arguments'}: ${issue.message}`);
+                throw new Error(`Invalid arguments for ${name}: ${issues.join('; ')}`);
+            }
+            validatedArgs = parsed.data;
+        }
+        return await tool.handler(validatedArgs, context, meta);
+    }
+
+    // Format a successful tool result for display in the chat
+    formatResult(name, data, message) {
+        const tool = this.tools.get(name);
+        if (tool && tool.formatResult) {
+            return tool.formatResult(data, message);
+        }
+        return message || 'Operation completed successfully.';
+    }
+
+    // Proposed change of a write tool as { before, after } records, for clinician review.
+    // Previews are built from validated arguments; arguments that fail the schema are shown as given,
+    // and execute() returns the validation error to the model
+    previewChange(name, args, patientContext) {
+        const tool = this.tools.get(name);
+        const parsed = tool?.inputSchema ? tool.inputSchema.safeParse(args || {}) : { success: true, data: args || {} };
+        if (tool && tool.previewChange && parsed.success) {
+            return tool.previewChange(parsed.data, patientContext || {});
+        }
+        return { before: null, after: args || {} };
+    }
+
+    // Plain-text tool list for prompt-based (non function calling) LLMs
+    describeForPrompt() {
+        return this.getDefinitions().map(tool => {
+            const properties = tool.inputSchema.properties || {};
+            const required = tool.inputSchema.required || [];
+            const params = Object.keys(properties);
+
+            let line = `- ${tool.name}(${params.join(', ')}): ${tool.description}`;
+            if (required.length > 0) {
+                line += ` (requires: ${required.join(', ')})`;
+            }
+            return line;
+        }).join('\n');
+    }
+}
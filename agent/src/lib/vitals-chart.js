@@ -0,0 +1,120 @@
+// Vitals Chart - Dependency-free SVG chart of blood pressure and heart rate over time
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+const CHART = {
+    width: 560,
+    panelHeight: 120,
+    gap: 28,
+    margin: { top: 18, right: 16, bottom: 24, left: 40 }
+};
+
+const COLORS = {
+    systolic: '#dc3545',
+    diastolic: '#fd7e14',
+    heartRate: '#667eea',
+    grid: '#e9ecef',
+    axis: '#6c757d'
+};
+
+function svgElement(name, attributes = {}, text) {
+    const element = document.createElementNS(SVG_NS, name);
+    Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+    if (text !== undefined) element.textContent = text;
+    return element;
+}
+
+function formatDate(time) {
+    return new Date(time).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: '2-digit' });
+}
+
+// One panel: a set of series ({ label, color, points: [{ time, value }] }) on a shared time axis
+function drawPanel(svg, top, title, series, timeScale) {
+    const values = series.flatMap(line => line.points.map(point => point.value));
+    const { left, right } = CHART.margin;
+    const plotWidth = CHART.width - left - right;
+    const plotHeight = CHART.panelHeight;
+
+    svg.appendChild(svgElement('text', { x: left, y: top - 6, 'font-size': 11, 'font-weight': 600, fill: '#333' }, title));
+
+    if (values.length === 0) {
+        svg.appendChild(svgElement('text', { x: left + plotWidth / 2, y: top + plotHeight / 2, 'font-size': 11, fill: COLORS.axis, 'text-anchor': 'middle' }, 'No readings'));
+        return;
+    }
+
+    const min = Math.floor(Math.min(...values) - 5);
+    const max = Math.ceil(Math.max(...values) + 5);
+    const y = (value) => top + plotHeight - ((value - min) / (max - min)) * plotHeight;
+
+    // Horizontal grid lines with value labels
+    [min, (min + max) / 2, max].forEach(value => {
+        svg.appendChild(svgElement('line', { x1: left, x2: left + plotWidth, y1: y(value), y2: y(value), stroke: COLORS.grid }));
+        svg.appendChild(svgElement('text', { x: left - 6, y: y(value) + 3, 'font-size': 9, fill: COLORS.axis, 'text-anchor': 'end' }, Math.round(value)));
+    });
+
+    series.forEach(line => {
+        if (line.points.length === 0) return;
+        const path = line.points.map((point, index) => `${index === 0 ? 'M' : 'L'}${timeScale(point.time).toFixed(1)},${y(point.value).toFixed(1)}`).join(' ');
+        svg.appendChild(svgElement('path', { d: path, fill: 'none', stroke: line.color, 'stroke-width': 2 }));
+
+        line.points.forEach(point => {
+            const dot = svgElement('circle', { cx: timeScale(point.time), cy: y(point.value), r: 3, fill: line.color });
+            dot.appendChild(svgElement('title', {}, `${line.label}: ${point.value} (${new Date(point.time).toLocaleString()})`));
+            svg.appendChild(dot);
+        });
+    });
+
+    // Legend
+    let legendX = left + plotWidth;
+    [...series].reverse().forEach(line => {
+        const label = svgElement('text', { x: legendX, y: top - 6, 'font-size': 10, fill: line.color, 'text-anchor': 'end' }, `● ${line.label}`);
+        svg.appendChild(label);
+        legendX -= line.label.length * 6 + 20;
+    });
+}
+
+// Build an SVG element charting blood pressure (systolic/diastolic) and heart rate observations
+export function createVitalsChart(observations) {
+    const bloodPressure = observations.filter(observation => observation.type === 'bloodPressure');
+    const heartRate = observations.filter(observation => observation.type === 'heartRate');
+    const times = [...bloodPressure, ...heartRate].map(observation => new Date(observation.recordedAt).getTime());
+
+    const height = CHART.margin.top + CHART.panelHeight * 2 + CHART.gap + CHART.margin.bottom;
+    const svg = svgElement('svg', {
+        viewBox: `0 0 ${CHART.width} ${height}`,
+        width: '100%',
+        role: 'img',
+        'aria-label': 'Blood pressure and heart rate over time',
+        class: 'vitals-chart'
+    });
+
+    const { left, right } = CHART.margin;
+    const plotWidth = CHART.width - left - right;
+    const start = times.length ? Math.min(...times) : 0;
+    const end = times.length ? Math.max(...times) : 1;
+    const timeScale = (time) => (end === start ? left + plotWidth / 2 : left + ((time - start) / (end - start)) * plotWidth);
+    const toPoints = (list, valueOf) => list.map(observation => ({ time: new Date(observation.recordedAt).getTime(), value: valueOf(observation) }));
+
+    const bpTop = CHART.margin.top;
+    drawPanel(svg, bpTop, 'Blood pressure (mmHg)', [
+        { label: 'Systolic', color: COLORS.systolic, points: toPoints(bloodPressure, observation => observation.value.systolic) },
+        { label: 'Diastolic', color: COLORS.diastolic, points: toPoints(bloodPressure, observation => observation.value.diastolic) }
+    ], timeScale);
+
+    const hrTop = bpTop + CHART.panelHeight + CHART.gap;
+    drawPanel(svg, hrTop, 'Heart rate (bpm)', [
+        { label: 'Heart rate', color: COLORS.heartRate, points: toPoints(heartRate, observation => observation.value) }
+    ], timeScale);
+
+    // Time axis labels (first, middle, last)
+    if (times.length) {
+        const axisY = hrTop + CHART.panelHeight + 16;
+        const labelTimes = end === start ? [start] : [start, (start + end) / 2, end];
+        labelTimes.forEach((time, index) => {
+            const anchor = labelTimes.length === 1 ? 'middle' : ['start', 'middle', 'end'][index];
+            svg.appendChild(svgElement('text', { x: timeScale(time), y: axisY, 'font-size': 9, fill: COLORS.axis, 'text-anchor': anchor }, formatDate(time)));
+        });
+    }
+
+    return svg;
+}
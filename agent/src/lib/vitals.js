@@ -0,0 +1,170 @@
+// Vitals - Vital signs stored as a time series of observations
+// An observation is { id, type, value, unit, recordedAt, source }; blood pressure values are
+// { systolic, diastolic }, every other type is a number
+
+export const VITAL_TYPES = {
+    bloodPressure: { label: 'Blood pressure', shortLabel: 'BP', unit: 'mmHg', stableChange: 5 },
+    heartRate: { label: 'Heart rate', shortLabel: 'HR', unit: 'bpm', stableChange: 5 },
+    temperature: { label: 'Temperature', shortLabel: 'Temp', unit: '°F', stableChange: 0.5 },
+    respiratoryRate: { label: 'Respiratory rate', shortLabel: 'RR', unit: 'breaths/min', stableChange: 2 },
+    oxygenSaturation: { label: 'Oxygen saturation', shortLabel: 'SpO2', unit: '%', stableChange: 2 }
+};
+
+// "140/90" or { systolic, diastolic } -> { systolic, diastolic }
+export function parseBloodPressure(value) {
+    if (value && typeof value === 'object' && 'systolic' in value) {
+        return { systolic: Number(value.systolic), diastolic: Number(value.diastolic) };
+    }
+
+    const match = /^\s*(\d{2,3})\s*\/\s*(\d{2,3})\s*$/.exec(String(value));
+    if (!match) {
+        throw new Error(`Invalid blood pressure "${value}" (expected systolic/diastolic, e.g. 120/80)`);
+    }
+    return { systolic: Number(match[1]), diastolic: Number(match[2]) };
+}
+
+// Value used for trends and charts: systolic for blood pressure, the number otherwise
+function primaryValue(observation) {
+    return observation.type === 'bloodPressure' ? observation.value.systolic : observation.value;
+}
+
+export function formatVitalValue(observation) {
+    if (observation.type === 'bloodPressure') {
+        return `${observation.value.systolic}/${observation.value.diastolic}`;
+    }
+    return String(observation.value);
+}
+
+// Build observations from a flat reading such as { bloodPressure: '140/90', heartRate: 80, recordedAt, source }.
+// Values may also be given as { value, unit } to record a non-default unit.
+export function createObservations(reading, options = {}) {
+    const recordedAt = reading.recordedAt || options.recordedAt || new Date().toISOString();
+    if (isNaN(new Date(recordedAt).getTime())) {
+        throw new Error(`Invalid recordedAt timestamp "${recordedAt}"`);
+    }
+    const source = reading.source || options.source || 'manual';
+    const generateId = options.generateId || ((type) => `vital-${type}-${Date.now()}-${Math.floor(Math.random() * 1000)}`);
+
+    const observations = Object.keys(VITAL_TYPES)
+        .filter(type => reading[type] !== undefined && reading[type] !== null && reading[type] !== '')
+        .map(type => {
+            const raw = reading[type];
+            const hasUnit = raw && typeof raw === 'object' && 'value' in raw;
+            const rawValue = hasUnit ? raw.value : raw;
+
+            let value;
+            if (type === 'bloodPressure') {
+                value = parseBloodPressure(rawValue);
+            } else {
+                value = Number(rawValue);
+                if (!Number.isFinite(value)) {
+                    throw new Error(`Invalid ${VITAL_TYPES[type].label.toLowerCase()} "${rawValue}"`);
+                }
+            }
+
+            return {
+                id: generateId(type),
+                type: type,
+                value: value,
+                unit: (hasUnit && raw.unit) || VITAL_TYPES[type].unit,
+                recordedAt: recordedAt,
+                source: source
+            };
+        });
+
+    if (observations.length === 0) {
+        throw new Error(`No vital signs given (expected one of: ${Object.keys(VITAL_TYPES).join(', ')})`);
+    }
+
+    return observations;
+}
+
+// Convert the old single-snapshot vitals object ({ lastRecorded, bloodPressure, heartRate, ... }) to observations
+export function normalizeVitals(vitals) {
+    if (Array.isArray(vitals)) {
+        return vitals;
+    }
+    if (!vitals || typeof vitals !== 'object') {
+        return [];
+    }
+
+    try {
+        const recordedAt = vitals.lastRecorded ? new Date(vitals.lastRecorded).toISOString() : new Date().toISOString();
+        let counter = 0;
+        return createObservations(vitals, {
+            recordedAt,
+            source: 'migrated',
+            generateId: (type) => `vital-${type}-migrated-${++counter}`
+        });
+    } catch (error) {
+        console.warn('Could not migrate vitals snapshot:', error);
+        return [];
+    }
+}
+
+function byTime(a, b) {
+    return new Date(a.recordedAt) - new Date(b.recordedAt);
+}
+
+// Observations of one type (or all) within [from, to], oldest first
+export function getRange(observations, type, from, to) {
+    const start = from ? new Date(from).getTime() : -Infinity;
+    const end = to ? new Date(to).getTime() : Infinity;
+
+    return observations
+        .filter(observation => !type || observation.type === type)
+        .filter(observation => {
+            const time = new Date(observation.recordedAt).getTime();
+            return time >= start && time <= end;
+        })
+        .sort(byTime);
+}
+
+// Most recent observation of every type: { heartRate: observation, ... }
+export function getLatest(observations) {
+    const latest = {};
+    [...observations].sort(byTime).forEach(observation => {
+        latest[observation.type] = observation;
+    });
+    return latest;
+}
+
+// Direction of the last `readings` observations of a type.
+// Returns null with fewer than two readings.
+export function getTrend(observations, type, options = {}) {
+    const series = getRange(observations, type, options.from, options.to).slice(-(options.readings || 5));
+    if (series.length < 2) {
+        return null;
+    }
+
+    const first = series[0];
+    const last = series[series.length - 1];
+    const change = primaryValue(last) - primaryValue(first);
+    const days = (new Date(last.recordedAt) - new Date(first.recordedAt)) / 86400000;
+    const threshold = VITAL_TYPES[type]?.stableChange ?? 0;
+
+    return {
+        type: type,
+        readings: series.length,
+        from: first.recordedAt,
+        to: last.recordedAt,
+        first: formatVitalValue(first),
+        last: formatVitalValue(last),
+        change: Math.round(change * 10) / 10,
+        changePerDay: days > 0 ? Math.round((change / days) * 100) / 100 : null,
+        direction: Math.abs(change) < threshold ? 'stable' : (change > 0 ? 'rising' : 'falling')
+    };
+}
+
+// One line per vital with more than one reading, e.g. "BP 120/80 → 140/90 mmHg (rising over 4 readings since 2024-04-10)"
+export function summarizeTrends(observations, options = {}) {
+    return Object.keys(VITAL_TYPES)
+        .map(type => {
+            const trend = getTrend(observations, type, options);
+            if (!trend) return null;
+            const unit = observations.find(observation => observation.type === type)?.unit || VITAL_TYPES[type].unit;
+            return `${VITAL_TYPES[type].shortLabel} ${trend.first} → ${trend.last} ${unit} (${trend.direction} over ${trend.readings} readings since ${trend.from.split('T')[0]})`;
+        })
+        .filter(Boolean)
+        .join('; ');
+}
@@ -1,28 +1,30 @@
 // Main initialization script for Medical MCP Agent
+import { acceptIframeMessage, postToParent, setHostInfo } from './lib/message-security.js';
+import { capabilitiesFor } from './lib/embed-protocol.js';
+
 console.log('*** Initializing Medical MCP Agent ***');
 
 // Global reference to MCP client for configuration modal access
 window.mcpClient = null;
 
-// Initialize MCP Client when DOM is ready
+// The MCP client is created by mcp-client.js (loaded before this script) when the DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
-    console.log('*** DOM loaded, creating MCP Client ***');
-    
-    // Create and initialize the MCP client
-    window.mcpClient = new MCPClient();
+    console.log('*** DOM loaded, MCP Client initialized ***');
     
-    console.log('*** MCP Client initialized ***');
-    
-    // Notify parent window that iframe is ready
-    if (window.parent !== window) {
-        window.parent.postMessage({ type: 'iframe-ready' }, '*');
+    // Notify parent window that iframe is ready, with the message types it accepts (protocol handshake)
+    if (postToParent({ type: 'iframe-ready', capabilities: capabilitiesFor('host') })) {
         console.log('*** Sent iframe-ready message to parent ***');
     }
 });
 
 // Listen for messages from parent about tools context
 window.addEventListener('message', (event) => {
-    if (event.data.type === 'mcp-tools-context') {
+    if (!acceptIframeMessage(event)) return;
+    
+    if (event.data.type === 'host-hello') {
+        // Handshake: from now on only message types the host accepts are sent to it
+        setHostInfo(event.data);
+    } else if (event.data.type === 'mcp-tools-context') {
         console.log('*** Main.js received tools context message ***', event.data.toolsContext);
         // The tools context has been passed to Ozwell via the MCP client
     } else if (event.data.type === 'show') {
@@ -3,6 +3,27 @@
  * This script creates and manages the Ozwell AI chatbot iframe
  */
 
+import { toOrigin } from './lib/message-security.js';
+import { PROTOCOL_VERSION, ERROR_CODES, capabilitiesFor, createMessage, isCompatibleVersion, receiveEnvelope, toError } from './lib/embed-protocol.js';
+
+// Events a host page can subscribe to with chatbot.on(event, handler)
+const EVENTS = ['ready', 'message', 'toolCallProposed', 'toolCallCompleted', 'chartChanged', 'error', 'open', 'close'];
+
+// Iframe messages raised as events, with the message (minus type and version) as payload
+const MESSAGE_EVENTS = {
+    'chat-message': 'message',
+    'tool-call-proposed': 'toolCallProposed',
+    'tool-call-completed': 'toolCallCompleted',
+    'chart-changed': 'chartChanged'
+};
+
+// Rejection of requests and `ready` once the chatbot is destroyed
+function destroyedError() {
+    const error = new Error('The chatbot was destroyed');
+    error.code = ERROR_CODES.destroyed;
+    return error;
+}
+
 class OzwellIframe {
     constructor(options = {}) {
         this.options = {
@@ -13,18 +34,67 @@ class OzwellIframe {
             bottom: options.bottom || '20px',
             right: options.right || '20px',
             zIndex: options.zIndex || 1000,
+            requestTimeout: options.requestTimeout || 10000,
+            chatTimeout: options.chatTimeout || 120000,
+            animate: options.animate !== false,
             ...options
         };
         
+        // Optional launcher bubble: true, or { icon, label, position: 'right' | 'left', offset }
+        const launcher = this.options.launcher === true ? {} : this.options.launcher;
+        this.launcherOptions = launcher ? {
+            icon: '💬',
+            label: '',
+            position: 'right',
+            offset: '20px',
+            ...Object.fromEntries(Object.entries(launcher).filter(([, value]) => value !== undefined))
+        } : null;
+        
         this.iframe = null;
+        this.launcher = null;
         this.isOpen = false;
+        this.destroyed = false;
+        
+        // Assistant messages and approval requests that arrived while the chatbot was closed
+        this.unreadCount = 0;
+        this.hideTimer = null;
+        
+        // Resolves when the iframe reports 'iframe-ready'; requests sent earlier wait for it.
+        // Rejects if the chatbot is destroyed first (handled here, so only callers awaiting it see it)
+        this.isReady = false;
+        this.ready = new Promise((resolve, reject) => {
+            this.resolveReady = resolve;
+            this.rejectReady = reject;
+        });
+        this.ready.catch(() => {});
+        
+        // Protocol version and accepted message types announced by the iframe, and the error
+        // that makes it unusable (incompatible protocol version)
+        this.protocol = null;
+        this.protocolError = null;
+        
+        // requestId -> { resolve, reject }, for requests answered by the iframe
+        this.pendingRequests = new Map();
+        this.requestCounter = 0;
+        
+        // event name -> Set of handlers (see on)
+        this.listeners = new Map();
+        
         this.initialize();
+        
+        if (this.options.patient) {
+            this.selectInitialPatient();
+        }
     }
 
     initialize() {
         this.createContainer();
         this.createIframe();
         this.setupEventListeners();
+        
+        if (this.launcherOptions) {
+            this.createLauncher();
+        }
     }
 
     createContainer() {
@@ -36,11 +106,15 @@ class OzwellIframe {
             document.body.appendChild(container);
         }
 
-        // Style the container
+        // With a launcher, the panel opens just above the bubble, on the same side
+        const launcher = this.launcherOptions;
+        const placement = launcher
+            ? `position: fixed; bottom: calc(${launcher.offset} + 72px); ${launcher.position === 'left' ? 'left' : 'right'}: ${launcher.offset};`
+            : `position: ${this.options.position}; bottom: ${this.options.bottom}; right: ${this.options.right};`;
+
+        // Style the container (hidden: opacity and transform are animated by show and hide)
         container.style.cssText = `
-            position: ${this.options.position};
-            bottom: ${this.options.bottom};
-            right: ${this.options.right};
+            ${placement}
             width: ${this.options.width};
             height: ${this.options.height};
             z-index: ${this.options.zIndex};
@@ -48,15 +122,123 @@ class OzwellIframe {
             box-shadow: 0 8px 32px rgba(0, 0, 0, 0.2);
             overflow: hidden;
             transition: all 0.3s ease;
+            transform-origin: bottom ${launcher?.position === 'left' ? 'left' : 'right'};
+            opacity: 0;
+            transform: translateY(16px) scale(0.96);
             display: none;
         `;
 
         this.container = container;
     }
 
+    // Floating button that toggles the chatbot, with a badge counting unread assistant messages
+    createLauncher() {
+        const { icon, label, position, offset } = this.launcherOptions;
+        
+        const launcher = document.createElement('button');
+        launcher.type = 'button';
+        launcher.className = 'ozwell-launcher';
+        launcher.setAttribute('aria-label', label || 'Open chat assistant');
+        launcher.setAttribute('aria-expanded', 'false');
+        launcher.style.cssText = `
+            position: fixed;
+            bottom: ${offset};
+            ${position === 'left' ? 'left' : 'right'}: ${offset};
+            z-index: ${this.options.zIndex};
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            gap: 8px;
+            min-width: 56px;
+            height: 56px;
+            padding: ${label ? '0 20px' : '0'};
+            border: none;
+            border-radius: 28px;
+            background: #2563eb;
+            color: #fff;
+            font: 600 15px/1 system-ui, sans-serif;
+            box-shadow: 0 4px 16px rgba(0, 0, 0, 0.25);
+            cursor: pointer;
+        `;
+        
+        // icon is text (an emoji) or the URL of an image
+        this.launcherIcon = document.createElement('span');
+        this.launcherIcon.style.cssText = 'display: flex; font-size: 24px; transition: transform 0.3s ease;';
+        if (/^(https?:|data:|\.{0,2}\/)/.test(icon)) {
+            const image = document.createElement('img');
+            image.src = icon;
+            image.alt = '';
+            image.style.cssText = 'width: 28px; height: 28px;';
+            this.launcherIcon.appendChild(image);
+        } else {
+            this.launcherIcon.textContent = icon;
+        }
+        launcher.appendChild(this.launcherIcon);
+        
+        if (label) {
+            const text = document.createElement('span');
+            text.textContent = label;
+            launcher.appendChild(text);
+        }
+        
+        this.launcherBadge = document.createElement('span');
+        this.launcherBadge.className = 'ozwell-launcher-badge';
+        this.launcherBadge.style.cssText = `
+            position: absolute;
+            top: -4px;
+            right: -4px;
+            min-width: 20px;
+            height: 20px;
+            padding: 0 6px;
+            box-sizing: border-box;
+            border-radius: 10px;
+            background: #dc2626;
+            color: #fff;
+            font: 700 12px/20px system-ui, sans-serif;
+            text-align: center;
+            display: none;
+        `;
+        launcher.appendChild(this.launcherBadge);
+        
+        launcher.addEventListener('click', () => this.toggle());
+        document.body.appendChild(launcher);
+        this.launcher = launcher;
+        
+        // The badge counts what the clinician has not seen: answers and tool calls waiting for approval
+        this.on('message', (message) => {
+            if (message.role === 'assistant') this.addUnread();
+        });
+        this.on('toolCallProposed', (call) => {
+            if (call.requiresApproval) this.addUnread();
+        });
+    }
+
+    addUnread() {
+        if (this.isOpen) return;
+        this.unreadCount++;
+        this.updateLauncher();
+    }
+
+    updateLauncher() {
+        if (!this.launcher) return;
+        
+        this.launcher.setAttribute('aria-expanded', String(this.isOpen));
+        this.launcherIcon.style.transform = this.isOpen ? 'rotate(90deg)' : 'none';
+        
+        this.launcherBadge.textContent = this.unreadCount > 9 ? '9+' : String(this.unreadCount);
+        this.launcherBadge.style.display = this.unreadCount > 0 ? 'block' : 'none';
+        this.launcher.setAttribute('aria-label', this.unreadCount > 0
+            ? `${this.launcherOptions.label || 'Open chat assistant'} (${this.unreadCount} unread)`
+            : this.launcherOptions.label || 'Open chat assistant');
+    }
+
     createIframe() {
         this.iframe = document.createElement('iframe');
         this.iframe.src = this.getIframeSrc();
+        
+        // Messages go only to the iframe's origin, and are only accepted from allowedOrigins
+        this.iframeOrigin = toOrigin(this.iframe.src);
+        this.allowedOrigins = (this.options.allowedOrigins || [this.iframeOrigin]).map(toOrigin).filter(Boolean);
         this.iframe.style.cssText = `
             width: 100%;
             height: 100%;
@@ -77,45 +259,199 @@ class OzwellIframe {
     }
 
     setupEventListeners() {
-        // Listen for messages from the iframe
-        window.addEventListener('message', (event) => {
-            if (event.source === this.iframe.contentWindow) {
-                this.handleIframeMessage(event.data);
+        // Listen for messages from the iframe (removed again by destroy)
+        this.handleWindowMessage = (event) => {
+            const frameWindow = this.iframe?.contentWindow;
+            
+            // An iframe speaking an incompatible protocol cannot be used: fail requests instead of waiting forever
+            if (event.source === frameWindow && this.allowedOrigins.includes(event.origin)
+                && event.data?.type === 'iframe-ready' && !isCompatibleVersion(event.data.version)) {
+                this.handleIncompatibleIframe(event.data.version);
+                return;
             }
-        });
+            
+            // Only the iframe's window, on an allowed origin, with a valid envelope (see embed-protocol.js)
+            const message = receiveEnvelope(event, frameWindow, this.allowedOrigins);
+            if (message) {
+                this.handleIframeMessage(message);
+            }
+        };
+        window.addEventListener('message', this.handleWindowMessage);
     }
 
     handleIframeMessage(data) {
+        if (MESSAGE_EVENTS[data.type]) {
+            const { type, version, ...payload } = data;
+            this.emit(MESSAGE_EVENTS[data.type], payload);
+        }
+        
         switch (data.type) {
             case 'iframe-ready':
-                console.log('Ozwell iframe is ready');
+                this.handleReady(data);
+                break;
+            case 'active-patient-changed':
+            case 'patient-context-loaded':
+            case 'chat-reply':
+            case 'conversation':
+            case 'tool-result':
+            case 'patient-context':
+            case 'provider-changed':
+                this.resolveRequest(data);
+                break;
+            case 'error':
+                // Errors answering a request reject it; the others are 'error' events
+                if (!this.resolveRequest(data)) {
+                    console.warn(`Ozwell iframe reported an error (${data.code}): ${data.message}`);
+                    this.emit('error', toError(data));
+                }
+                break;
+            case 'chart-changed':
+                // Write the change back to the EHR, which stays the source of truth
+                if (typeof this.options.onChartChange === 'function') {
+                    this.options.onChartChange(data);
+                }
                 break;
             case 'resize':
                 this.resize(data.width, data.height);
                 break;
             case 'close':
-                this.hide();
+                this.hide({ source: 'iframe' });
+                break;
+            case 'chat-message':
+            case 'tool-call-proposed':
+            case 'tool-call-completed':
+                // Raised as events above
                 break;
             default:
                 console.log('Received message from iframe:', data);
         }
     }
 
-    show() {
+    // Protocol handshake: remember what the iframe accepts and tell it what this page accepts
+    handleReady(data) {
+        this.protocol = { version: data.version || null, capabilities: data.capabilities || [] };
+        this.postMessage({ type: 'host-hello', version: PROTOCOL_VERSION, capabilities: capabilitiesFor('iframe') });
+        console.log(`Ozwell iframe is ready (protocol ${this.protocol.version || 'unversioned'})`);
+        
+        // A reloaded iframe starts on the default chart again
+        const reloaded = this.isReady;
+        if (reloaded && this.options.patient) {
+            this.selectInitialPatient();
+        }
+        this.isReady = true;
+        this.resolveReady();
+        this.emit('ready', { ...this.protocol, reloaded });
+    }
+
+    handleIncompatibleIframe(version) {
+        this.protocolError = new Error(`The chatbot iframe speaks protocol ${version}, this page supports ${PROTOCOL_VERSION}`);
+        this.protocolError.code = ERROR_CODES.unsupportedVersion;
+        console.error(this.protocolError.message);
+        
+        this.pendingRequests.forEach(({ reject }) => reject(this.protocolError));
+        this.resolveReady();
+        this.emit('error', this.protocolError);
+    }
+
+    // Subscribe to a chatbot event; returns a function that unsubscribes. Payloads:
+    //   ready             { version, capabilities, reloaded }    (the iframe (re)loaded; see also chatbot.ready)
+    //   message           { role, content, patientId }           (a user or assistant chat message)
+    //   toolCallProposed  { callId, name, arguments, requiresApproval, patientId }
+    //   toolCallCompleted { callId, name, arguments, approval, success, result, message | error, warnings, patientId }
+    //   chartChanged      { patientId, action, source, sections, patientData, ... }   (see onChartChange)
+    //   error             Error with code, details                (not tied to a request)
+    //   open, close       { source: 'host' | 'iframe' }
+    on(event, handler) {
+        if (!EVENTS.includes(event)) {
+            throw new Error(`Unknown chatbot event "${event}" (expected one of ${EVENTS.join(', ')})`);
+        }
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(handler);
+        return () => this.off(event, handler);
+    }
+
+    off(event, handler) {
+        this.listeners.get(event)?.delete(handler);
+    }
+
+    emit(event, payload) {
+        this.listeners.get(event)?.forEach(handler => {
+            try {
+                handler(payload);
+            } catch (error) {
+                console.error(`Ozwell chatbot "${event}" handler failed:`, error);
+            }
+        });
+    }
+
+    // Does the iframe accept this message type? (false until it is ready)
+    supports(type) {
+        return !!this.protocol?.capabilities.includes(type);
+    }
+
+    selectInitialPatient() {
+        this.setActivePatient(this.options.patient).catch(error => {
+            console.warn('Could not select the initial patient:', error.message);
+        });
+    }
+
+    show(options = {}) {
+        if (this.destroyed) return;
+        const wasOpen = this.isOpen;
+        clearTimeout(this.hideTimer);
         this.container.style.display = 'block';
+        
+        // Fade and slide in: the hidden styles apply to the first frame, then transition away
+        if (this.shouldAnimate()) {
+            void this.container.offsetHeight;
+        }
+        this.container.style.opacity = '1';
+        this.container.style.transform = 'none';
+        
         this.isOpen = true;
+        this.unreadCount = 0;
+        this.updateLauncher();
         // Send message to iframe that it's now visible
         this.postMessage({ type: 'show' });
+        if (!wasOpen) {
+            this.emit('open', { source: options.source || 'host' });
+        }
     }
 
-    hide() {
-        this.container.style.display = 'none';
+    hide(options = {}) {
+        if (this.destroyed) return;
+        const wasOpen = this.isOpen;
+        this.container.style.opacity = '0';
+        this.container.style.transform = 'translateY(16px) scale(0.96)';
+        
+        // display: none once the fade-out has finished
+        clearTimeout(this.hideTimer);
+        if (this.shouldAnimate()) {
+            this.hideTimer = setTimeout(() => {
+                if (!this.isOpen && this.container) this.container.style.display = 'none';
+            }, 300);
+        } else {
+            this.container.style.display = 'none';
+        }
+        
         this.isOpen = false;
+        this.updateLauncher();
         // Send message to iframe that it's now hidden
         this.postMessage({ type: 'hide' });
+        if (wasOpen) {
+            this.emit('close', { source: options.source || 'host' });
+        }
+    }
+
+    // Open/close animation, unless turned off or the user prefers reduced motion
+    shouldAnimate() {
+        return this.options.animate && !window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
     }
 
     toggle() {
+        if (this.destroyed) return;
         if (this.isOpen) {
             this.hide();
         } else {
@@ -124,22 +460,154 @@ class OzwellIframe {
     }
 
     resize(width, height) {
+        if (this.destroyed) return;
         if (width) this.container.style.width = width;
         if (height) this.container.style.height = height;
     }
 
+    // Select the patient whose chart the assistant works on. `patient` is a patientId, or
+    // { patientId and/or mrn, name, age, ... }; a patient seen for the first time starts with an empty chart.
+    // Resolves with { success, patientId, patientInfo, created, message }; rejects with error.code on failure
+    setActivePatient(patient) {
+        this.options.patient = patient;
+        return this.request({ type: 'set-active-patient', patient });
+    }
+
+    // Send the host's patient record into the iframe: a FHIR R4 Bundle (or Patient resource), or JSON
+    // { patientInfo, medications, allergies, conditions, vitals }. It replaces the patient's chart and
+    // makes the patient active. Resolves like setActivePatient, plus `unmapped` FHIR resources
+    setPatientContext(context) {
+        return this.request({ type: 'set-patient-context', context });
+    }
+
+    // Send a chat message as if the clinician typed it, e.g. from an EHR "summarize this chart" button.
+    // Resolves with { reply, patientId } once the assistant has answered (tool approvals included),
+    // so the timeout defaults to options.chatTimeout
+    sendMessage(text, options = {}) {
+        return this.request({ type: 'send-chat-message', text }, { timeout: this.options.chatTimeout, ...options });
+    }
+
+    // Resolves with { messages, patientId, provider }: the conversation as sent to the model
+    getConversation(options = {}) {
+        return this.request({ type: 'get-conversation' }, options);
+    }
+
+    // Run a medical tool directly (recorded as a 'host' call in the audit log). Chart changes need
+    // options.approvedBy, the clinician who approved the change in the EHR.
+    // Resolves with { data, message, patientId }; a refused call rejects with error.details.warnings
+    executeTool(name, args = {}, options = {}) {
+        return this.request({
+            type: 'execute-tool',
+            name,
+            arguments: args,
+            ...(options.patientId && { patientId: options.patientId }),
+            ...(options.requestedBy && { requestedBy: options.requestedBy }),
+            ...(options.approvedBy && { approvedBy: options.approvedBy })
+        }, options);
+    }
+
+    // Resolves with { context, patientId }: the active patient's chart summary (getContext)
+    getPatientContext(options = {}) {
+        return this.request({ type: 'get-patient-context' }, options);
+    }
+
+    // Switch the AI provider ('openai', 'ozwell', ...); it must already be configured in the iframe.
+    // Resolves with { provider, name, model }
+    setProvider(provider, options = {}) {
+        return this.request({ type: 'set-provider', provider }, options);
+    }
+
+    // Post a request once the iframe is ready. Resolves with the reply carrying the same requestId;
+    // rejects (error.code) with the iframe's error frame, at once if the iframe does not support the
+    // request, or after options.timeout ms (default options.requestTimeout, waiting for the iframe included)
+    request(message, options = {}) {
+        if (this.destroyed) {
+            return Promise.reject(destroyedError());
+        }
+        
+        const requestId = `host-${++this.requestCounter}`;
+        const timeout = options.timeout || this.options.requestTimeout;
+        
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pendingRequests.delete(requestId);
+                const error = new Error(`The chatbot iframe did not answer "${message.type}" within ${timeout} ms`);
+                error.code = ERROR_CODES.timeout;
+                reject(error);
+            }, timeout);
+            
+            const settle = (callback) => (value) => {
+                clearTimeout(timer);
+                this.pendingRequests.delete(requestId);
+                callback(value);
+            };
+            const pending = { resolve: settle(resolve), reject: settle(reject) };
+            this.pendingRequests.set(requestId, pending);
+            
+            this.ready.then(() => {
+                // Timed out or failed while waiting for the iframe
+                if (!this.pendingRequests.has(requestId)) return;
+                
+                if (this.protocolError) {
+                    pending.reject(this.protocolError);
+                } else if (!this.supports(message.type)) {
+                    const error = new Error(`The chatbot iframe does not support "${message.type}"`);
+                    error.code = ERROR_CODES.unsupported;
+                    pending.reject(error);
+                } else {
+                    try {
+                        this.postMessage(createMessage(message.type, { ...message, requestId }));
+                    } catch (error) {
+                        pending.reject(error);
+                    }
+                }
+            }, error => pending.reject(error));
+        });
+    }
+
+    // Settle the request a reply or error frame answers; false if it answers none
+    resolveRequest(data) {
+        const pending = this.pendingRequests.get(data.requestId);
+        if (!pending) return false;
+        
+        if (data.type === 'error') {
+            pending.reject(toError(data));
+        } else {
+            const { type, version, requestId, ...result } = data;
+            pending.resolve(result);
+        }
+        return true;
+    }
+
+    // Send a message to the iframe, stamped with the protocol version
     postMessage(message) {
         if (this.iframe && this.iframe.contentWindow) {
-            this.iframe.contentWindow.postMessage(message, '*');
+            this.iframe.contentWindow.postMessage({ ...message, version: PROTOCOL_VERSION }, this.iframeOrigin);
         }
     }
 
+    // Remove the chatbot: no more messages or events are handled, pending and later requests and
+    // `ready` reject (code 'destroyed'), and show, hide, toggle and resize do nothing
     destroy() {
+        if (this.destroyed) return;
+        this.destroyed = true;
+        window.removeEventListener('message', this.handleWindowMessage);
+        
+        const error = destroyedError();
+        this.pendingRequests.forEach(({ reject }) => reject(error));
+        this.rejectReady(error);
+        
+        clearTimeout(this.hideTimer);
         if (this.container && this.container.parentNode) {
             this.container.parentNode.removeChild(this.container);
         }
+        if (this.launcher && this.launcher.parentNode) {
+            this.launcher.parentNode.removeChild(this.launcher);
+        }
         this.iframe = null;
         this.container = null;
+        this.launcher = null;
+        this.listeners.clear();
     }
 }
 
@@ -159,6 +627,12 @@ document.addEventListener('DOMContentLoaded', () => {
             position: autoInit.getAttribute('data-position') || undefined,
             bottom: autoInit.getAttribute('data-bottom') || undefined,
             right: autoInit.getAttribute('data-right') || undefined,
+            patient: autoInit.getAttribute('data-patient-id') || undefined,
+            launcher: autoInit.hasAttribute('data-launcher') ? {
+                icon: autoInit.getAttribute('data-launcher-icon') || undefined,
+                label: autoInit.getAttribute('data-launcher-label') || undefined,
+                position: autoInit.getAttribute('data-launcher-position') || undefined
+            } : undefined,
         };
         
         // Clean up undefined values
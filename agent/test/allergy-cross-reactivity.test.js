@@ -0,0 +1,40 @@
+// Allergy Cross-Reactivity tests - direct, class and cross-class allergy matches
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveDrugClasses, findAllergyMatches, toAllergyWarning } from '../src/lib/allergy-cross-reactivity.js';
+
+const allergy = (allergen) => ({ allergen, reaction: 'Rash', severity: 'Moderate' });
+
+test('treats "Penicillin" as the class, not a single drug', () => {
+    assert.deepEqual(resolveDrugClasses('Penicillin'), { drugs: [], classes: ['penicillin'], classTerms: ['penicillin'] });
+});
+
+test('matches a brand name containing the allergen directly', () => {
+    const [match] = findAllergyMatches('Augmentin', [allergy('Amoxicillin')]);
+
+    assert.equal(match.match, 'direct');
+    assert.equal(match.crossSensitivity, 'high');
+    assert.equal(toAllergyWarning(match).message, 'ALLERGY WARNING: Augmentin contains amoxicillin, the recorded allergen (Amoxicillin).');
+});
+
+test('matches a member of an allergic class', () => {
+    const [match] = findAllergyMatches('Amoxicillin', [allergy('Penicillin')]);
+    assert.equal(match.match, 'class');
+    assert.equal(match.crossSensitivity, 'high');
+
+    assert.equal(findAllergyMatches('Bactrim', [allergy('Sulfa')])[0].drugClass, 'sulfonamide antibiotics');
+});
+
+test('reports cross-reactive classes at their own level', () => {
+    const [cephalosporin] = findAllergyMatches('Cephalexin', [allergy('Penicillin')]);
+    assert.equal(cephalosporin.match, 'cross-reactive');
+    assert.equal(cephalosporin.crossSensitivity, 'moderate');
+    assert.match(toAllergyWarning(cephalosporin).message, /^POSSIBLE CROSS-REACTIVITY \(moderate\): /);
+
+    assert.equal(findAllergyMatches('Meropenem', [allergy('Penicillin')])[0].crossSensitivity, 'low');
+});
+
+test('does not match unrelated drugs', () => {
+    assert.deepEqual(findAllergyMatches('Metformin', [allergy('Penicillin')]), []);
+});
@@ -0,0 +1,161 @@
+// Audit Log tests - hash chain verification and the anchored head
+
+import './helpers/browser-globals.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryStorageAdapter } from '../src/lib/storage-adapters.js';
+import { AuditLog } from '../src/lib/audit-log.js';
+
+let logCount = 0;
+
+// A log with a few tool calls, under its own storage key
+async function createLog(options = {}) {
+    const log = new AuditLog({ storageKey: `audit_test_${++logCount}`, ...options });
+    await log.append({ tool: 'addMedication', parameters: { name: 'Lisinopril' }, result: { success: true } });
+    await log.append({ tool: 'addAllergy', parameters: { allergen: 'Penicillin' }, result: { success: true } });
+    await log.append({ tool: 'getPatientInfo', parameters: {}, result: { success: true } });
+    return log;
+}
+
+// Reload the log after changing what it stored in localStorage
+function tamper(log, change) {
+    const entries = JSON.parse(localStorage.getItem(log.storageKey));
+    localStorage.setItem(log.storageKey, JSON.stringify(change(entries)));
+    return new AuditLog({ storageKey: log.storageKey, anchor: log.anchor });
+}
+
+test('chains each entry to the previous one', async () => {
+    const log = await createLog();
+    const [first, second, third] = log.getEntries();
+
+    assert.deepEqual([first.sequence, second.sequence, third.sequence], [1, 2, 3]);
+    assert.equal(first.previousHash, '0'.repeat(64));
+    assert.equal(second.previousHash, first.hash);
+    assert.equal(third.previousHash, second.hash);
+    assert.deepEqual(await log.verify(), { valid: true, entries: 3, anchored: false });
+});
+
+test('detects an edited entry', async () => {
+    const log = tamper(await createLog(), entries => {
+        entries[1].parameters.allergen = 'Sulfa';
+        return entries;
+    });
+
+    const result = await log.verify();
+    assert.equal(result.valid, false);
+    assert.equal(result.brokenAt, 2);
+    assert.match(result.reason, /does not match its hash/);
+});
+
+test('detects a removed entry', async () => {
+    const log = tamper(await createLog(), entries => [entries[0], entries[2]]);
+
+    const result = await log.verify();
+    assert.equal(result.valid, false);
+    assert.equal(result.brokenAt, 3);
+    assert.match(result.reason, /previousHash/);
+});
+
+test('with an anchor, restores a truncated local log from the anchored entries', async () => {
+    const log = tamper(await createLog({ anchor: new MemoryStorageAdapter() }), entries => entries.slice(0, 2));
+
+    assert.deepEqual(await log.verify(), { valid: true, entries: 3, anchored: true });
+});
+
+test('with an anchor, detects a log truncated in both copies', async () => {
+    const anchor = new MemoryStorageAdapter();
+    const original = await createLog({ anchor });
+    await anchor.save(original.storageKey, original.getEntries().slice(0, 2));
+    const log = tamper(original, entries => entries.slice(0, 2));
+
+    assert.equal((await log.verifyChain()).valid, true);
+    const result = await log.verify();
+    assert.equal(result.valid, false);
+    assert.equal(result.anchored, true);
+    assert.match(result.reason, /ends before its anchored head/);
+});
+
+test('with an anchor, detects a log rewritten and re-hashed in place', async () => {
+    const anchor = new MemoryStorageAdapter();
+    const original = await createLog({ anchor });
+
+    // Rebuild the same chain with a different allergy, valid on its own
+    const forged = new AuditLog({ storageKey: `audit_test_${++logCount}` });
+    for (const { tool, parameters, result, timestamp } of original.getEntries()) {
+        await forged.append({ tool, parameters: tool === 'addAllergy' ? { allergen: 'Sulfa' } : parameters, result, timestamp });
+    }
+    const log = tamper(original, () => forged.getEntries());
+
+    assert.equal((await log.verifyChain()).valid, true);
+    const result = await log.verify();
+    assert.equal(result.valid, false);
+    assert.equal(result.brokenAt, 3);
+    assert.match(result.reason, /rewritten/);
+});
+
+test('with an anchor, a missing head fails verification', async () => {
+    const anchor = new MemoryStorageAdapter();
+    const log = await createLog({ anchor });
+    assert.deepEqual(await log.verify(), { valid: true, entries: 3, anchored: true });
+
+    await anchor.remove(log.anchorKey);
+    const result = await log.verify();
+    assert.equal(result.valid, false);
+    assert.equal(result.anchored, true);
+    assert.match(result.reason, /anchored head is missing/);
+});
+
+test('with an anchor, an empty log without a head is valid', async () => {
+    const log = new AuditLog({ storageKey: `audit_test_${++logCount}`, anchor: new MemoryStorageAdapter() });
+    assert.deepEqual(await log.verify(), { valid: true, entries: 0, anchored: true });
+});
+
+test('with an anchor, keeps the entries there and reloads them when localStorage was cleared', async () => {
+    const anchor = new MemoryStorageAdapter();
+    const log = await createLog({ anchor });
+    assert.equal((await anchor.load(log.storageKey)).length, 3);
+
+    localStorage.removeItem(log.storageKey);
+    const reloaded = new AuditLog({ storageKey: log.storageKey, anchor });
+    const entry = await reloaded.append({ tool: 'getMedications', parameters: {}, result: { success: true } });
+
+    assert.equal(entry.sequence, 4);
+    assert.deepEqual(reloaded.getEntries().slice(0, 3), log.getEntries());
+    assert.deepEqual(await reloaded.verify(), { valid: true, entries: 4, anchored: true });
+});
+
+test('rejects an append whose entry could not be saved, and saves it with the next one', async () => {
+    const anchor = new MemoryStorageAdapter();
+    const log = await createLog({ anchor });
+    const save = anchor.save;
+    anchor.save = async () => {
+        throw new Error('offline');
+    };
+
+    await assert.rejects(log.append({ tool: 'addAllergy', parameters: {}, result: { success: true } }), error => {
+        assert.match(error.message, /Audit entry 4 was not saved \(anchor: offline\)/);
+        assert.equal(error.entry.sequence, 4);
+        return true;
+    });
+
+    anchor.save = save;
+    await log.append({ tool: 'getAllergies', parameters: {}, result: { success: true } });
+    assert.equal((await anchor.load(log.storageKey)).length, 5);
+    assert.deepEqual(await log.verify(), { valid: true, entries: 5, anchored: true });
+});
+
+test('never overwrites anchored entries it could not load', async () => {
+    const anchor = new MemoryStorageAdapter();
+    const log = await createLog({ anchor });
+    localStorage.removeItem(log.storageKey);
+
+    const load = anchor.load;
+    anchor.load = async () => {
+        throw new Error('offline');
+    };
+    const reloaded = new AuditLog({ storageKey: log.storageKey, anchor });
+    anchor.load = load;
+
+    await assert.rejects(reloaded.append({ tool: 'addAllergy', parameters: {}, result: { success: true } }), /holds entries this log does not have/);
+    assert.deepEqual(await anchor.load(log.storageKey), JSON.parse(JSON.stringify(log.getEntries())));
+});
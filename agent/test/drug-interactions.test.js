@@ -0,0 +1,41 @@
+// Drug Interactions tests - class and drug-level interaction lookups
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getDrugClasses, findInteractions, toInteractionWarning } from '../src/lib/drug-interactions.js';
+
+test('resolves brand names to their drug class', () => {
+    assert.deepEqual(getDrugClasses('Warfarin'), ['anticoagulant']);
+    assert.deepEqual(getDrugClasses('Advil'), ['nsaid']);
+});
+
+test('finds a major interaction in either direction', () => {
+    const [finding] = findInteractions('Advil', ['Coumadin']);
+    assert.equal(finding.severity, 'major');
+    assert.deepEqual(finding.drugs, ['Advil', 'Coumadin']);
+    assert.deepEqual(finding.classes, ['NSAIDs', 'Vitamin K antagonists']);
+
+    const reverse = findInteractions('Warfarin', ['Ibuprofen']);
+    assert.equal(reverse.length, 1);
+    assert.deepEqual(reverse[0].classes, ['Vitamin K antagonists', 'NSAIDs']);
+});
+
+test('matches a class against a single drug', () => {
+    const findings = findInteractions('Sertraline', ['Tramadol', 'Lisinopril']);
+
+    assert.equal(findings.length, 1);
+    assert.deepEqual(findings[0].classes, ['SSRIs', 'tramadol']);
+});
+
+test('ignores unrelated medications and the medication itself', () => {
+    assert.deepEqual(findInteractions('Lisinopril', ['Metformin']), []);
+    assert.deepEqual(findInteractions('Warfarin', ['Warfarin']), []);
+});
+
+test('builds the warning returned by the chart tools', () => {
+    const warning = toInteractionWarning(findInteractions('Ibuprofen', ['Warfarin'])[0]);
+
+    assert.equal(warning.type, 'interaction');
+    assert.equal(warning.severity, 'major');
+    assert.match(warning.message, /^MAJOR INTERACTION: Ibuprofen \+ Warfarin - /);
+});
@@ -0,0 +1,57 @@
+// Embed Protocol tests - message envelopes and their schemas
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateMessage, PROTOCOL_VERSION } from '../src/lib/embed-protocol.js';
+
+const executeTool = fields => ({ type: 'execute-tool', version: PROTOCOL_VERSION, requestId: 'req-1', name: 'addAllergy', ...fields });
+
+test('accepts execute-tool with or without an approver', () => {
+    assert.equal(validateMessage(executeTool({ approvedBy: 'dr-smith' }), ['host']).valid, true);
+    assert.equal(validateMessage(executeTool({}), ['host']).valid, true);
+});
+
+test('rejects execute-tool with a blank approver', () => {
+    const result = validateMessage(executeTool({ approvedBy: ' ' }), ['host']);
+
+    assert.equal(result.valid, false);
+    assert.match(result.error, /approvedBy/);
+});
+
+test('rejects data that is not a message envelope', () => {
+    for (const data of [null, 'show', { version: PROTOCOL_VERSION }]) {
+        assert.equal(validateMessage(data).code, 'invalid-message');
+    }
+});
+
+test('rejects an unknown message type', () => {
+    const result = validateMessage({ type: 'format-disk', version: PROTOCOL_VERSION }, ['host']);
+
+    assert.equal(result.valid, false);
+    assert.equal(result.code, 'unknown-type');
+});
+
+test('rejects a message type from a sender that may not send it', () => {
+    const ready = { type: 'iframe-ready', version: PROTOCOL_VERSION, capabilities: [] };
+
+    assert.equal(validateMessage(ready, ['iframe']).valid, true);
+    assert.equal(validateMessage(ready, ['host']).code, 'not-allowed');
+    assert.equal(validateMessage({ type: 'mcp-get-tools', version: PROTOCOL_VERSION }, ['host']).code, 'not-allowed');
+});
+
+test('accepts the same major version and unversioned messages, rejects another major version', () => {
+    const major = Number(PROTOCOL_VERSION.split('.')[0]);
+
+    assert.equal(validateMessage(executeTool({ version: `${major}.99` }), ['host']).valid, true);
+    assert.equal(validateMessage(executeTool({ version: undefined }), ['host']).valid, true);
+    assert.equal(validateMessage(executeTool({ version: `${major + 1}.0` }), ['host']).code, 'unsupported-version');
+    assert.equal(validateMessage(executeTool({ version: 1 }), ['host']).code, 'unsupported-version');
+});
+
+test('rejects a message that does not match its schema', () => {
+    const result = validateMessage(executeTool({ name: '' }), ['host']);
+
+    assert.equal(result.valid, false);
+    assert.equal(result.code, 'invalid-message');
+    assert.match(result.error, /invalid "execute-tool": name/);
+});
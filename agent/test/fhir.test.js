@@ -0,0 +1,47 @@
+// FHIR tests - patientData to and from a FHIR R4 Bundle
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toFHIRBundle, fromFHIRBundle } from '../src/lib/fhir.js';
+
+const patientData = {
+    patientInfo: { name: 'Jane Doe', age: 52, patientId: 'PAT-9', mrn: 'MRN9' },
+    medications: [
+        { id: 'med-1', name: 'Lisinopril', dose: '10mg', frequency: 'once daily', indication: 'Hypertension', startDate: '2024-01-15', prescriber: 'Dr. Smith', status: 'active' }
+    ],
+    allergies: [
+        { id: 'allergy-1', allergen: 'Penicillin', reaction: 'Rash', severity: 'Moderate', dateRecorded: '2024-01-10' }
+    ],
+    conditions: [
+        { id: 'cond-1', name: 'Essential Hypertension', icd10: 'I10', status: 'active', diagnosisDate: '2024-01-15' }
+    ],
+    vitals: [
+        { id: 'vital-1', type: 'bloodPressure', value: { systolic: 124, diastolic: 80 }, unit: 'mmHg', recordedAt: '2024-04-15T09:30:00.000Z', source: 'clinic' },
+        { id: 'vital-2', type: 'heartRate', value: 68, unit: 'bpm', recordedAt: '2024-04-15T09:30:00.000Z', source: 'clinic' }
+    ]
+};
+
+test('exports one resource per chart item', () => {
+    const bundle = toFHIRBundle(patientData);
+
+    assert.equal(bundle.resourceType, 'Bundle');
+    assert.deepEqual(bundle.entry.map(entry => entry.resource.resourceType), [
+        'Patient', 'MedicationStatement', 'AllergyIntolerance', 'Condition', 'Observation', 'Observation'
+    ]);
+});
+
+test('round-trips the chart unchanged', () => {
+    assert.deepEqual(fromFHIRBundle(toFHIRBundle(patientData)), { patientData, unmapped: [] });
+});
+
+test('reports resources it cannot map', () => {
+    const bundle = toFHIRBundle(patientData);
+    bundle.entry.push({ resource: { resourceType: 'Encounter', id: 'enc-1' } });
+
+    assert.deepEqual(fromFHIRBundle(bundle).unmapped, [{ resourceType: 'Encounter', id: 'enc-1', reason: 'Unsupported resource type' }]);
+});
+
+test('rejects a Bundle without a Patient', () => {
+    assert.throws(() => fromFHIRBundle({ resourceType: 'Bundle', entry: [] }), /does not contain a Patient/);
+    assert.throws(() => fromFHIRBundle({ resourceType: 'Patient' }), /Expected a FHIR Bundle/);
+});
@@ -0,0 +1,16 @@
+// Browser globals for tests of modules that touch localStorage or window when imported
+// (e.g. the shared stores created by medical-data.js). Import before the module under test.
+
+const stored = new Map();
+
+globalThis.localStorage = {
+    getItem: key => stored.has(key) ? stored.get(key) : null,
+    setItem: (key, value) => stored.set(key, String(value)),
+    removeItem: key => stored.delete(key),
+    clear: () => stored.clear()
+};
+
+// A top-level page (not embedded) on http://localhost
+globalThis.window = new EventTarget();
+window.location = { origin: 'http://localhost', href: 'http://localhost/' };
+window.parent = window;
@@ -0,0 +1,108 @@
+// Medical Data tests - chart changes, interaction overrides and undo/redo
+
+import './helpers/browser-globals.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryStorageAdapter } from '../src/lib/storage-adapters.js';
+import { MedicalDataManager } from '../src/lib/medical-data.js';
+
+async function createManager() {
+    const manager = new MedicalDataManager({ storage: new MemoryStorageAdapter() });
+    await manager.ready;
+    return manager;
+}
+
+const activeNames = manager => manager.patientData.medications
+    .filter(medication => medication.status === 'active')
+    .map(medication => medication.name);
+
+test('adds a medication with its parsed sig', async () => {
+    const manager = await createManager();
+    const result = manager.addMedication({ name: 'Atorvastatin', dose: '20mg', frequency: 'once daily' });
+
+    assert.equal(result.success, true);
+    assert.equal(result.medication.sig.timesPerDay, 1);
+    assert.ok(activeNames(manager).includes('Atorvastatin'));
+});
+
+test('refuses a duplicate under a brand name', async () => {
+    const manager = await createManager();
+    manager.addMedication({ name: 'Acetaminophen', dose: '500mg', frequency: 'q6h' });
+
+    const result = manager.addMedication({ name: 'Tylenol', dose: '500mg', frequency: 'q6h' });
+    assert.equal(result.success, false);
+    assert.match(result.error, /already on Tylenol \(as Acetaminophen\)/);
+});
+
+test('blocks a major interaction unless overridden, and records the override', async () => {
+    const manager = await createManager();
+    manager.addMedication({ name: 'Warfarin', dose: '5mg', frequency: 'once daily' });
+
+    const blocked = manager.addMedication({ name: 'Ibuprofen', dose: '400mg', frequency: 'TID' });
+    assert.equal(blocked.success, false);
+    assert.match(blocked.error, /require a clinician override/);
+    assert.equal(blocked.warnings[0].severity, 'major');
+    assert.ok(!activeNames(manager).includes('Ibuprofen'));
+
+    const overridden = manager.addMedication(
+        { name: 'Ibuprofen', dose: '400mg', frequency: 'TID' },
+        { overrideInteractions: true, overrideReason: 'Short course', overriddenBy: 'dr-smith' }
+    );
+    assert.equal(overridden.success, true);
+    assert.deepEqual(overridden.medication.interactionOverride.interactions, ['Ibuprofen + Warfarin']);
+    assert.equal(overridden.medication.interactionOverride.overriddenBy, 'dr-smith');
+});
+
+test('returns dose-limit warnings with the change', async () => {
+    const manager = await createManager();
+    const result = manager.addMedication({ name: 'Acetaminophen', dose: '1000mg', frequency: 'q4h' });
+
+    assert.equal(result.success, true);
+    assert.ok(result.warnings.some(warning => warning.type === 'dose' && warning.severity === 'major'));
+});
+
+test('undoes and redoes a change', async () => {
+    const manager = await createManager();
+    manager.addMedication({ name: 'Atorvastatin', dose: '20mg', frequency: 'once daily' });
+
+    const undone = manager.undo();
+    assert.equal(undone.success, true);
+    assert.equal(undone.message, 'Undid: Added Atorvastatin');
+    assert.ok(!activeNames(manager).includes('Atorvastatin'));
+    assert.equal(manager.getHistory().canRedo, true);
+
+    assert.equal(manager.redo().success, true);
+    assert.ok(activeNames(manager).includes('Atorvastatin'));
+    assert.deepEqual(manager.redo(), { success: false, error: 'Nothing to redo' });
+});
+
+test('undoes the latest change from one source', async () => {
+    const manager = await createManager();
+    manager.addMedication({ name: 'Atorvastatin', dose: '20mg', frequency: 'once daily' }, { source: 'ai' });
+    manager.addAllergy({ allergen: 'Latex', reaction: 'Hives', severity: 'Mild' }, { source: 'user' });
+
+    const undone = manager.undo({ source: 'ai' });
+    assert.equal(undone.success, true);
+    assert.ok(!activeNames(manager).includes('Atorvastatin'));
+    assert.ok(manager.patientData.allergies.some(allergy => allergy.allergen === 'Latex'));
+    assert.deepEqual(manager.undo({ source: 'ai' }), { success: false, error: 'No ai changes to undo' });
+});
+
+test('refuses to undo a change that later changes depend on', async () => {
+    const manager = await createManager();
+    manager.addMedication({ name: 'Atorvastatin', dose: '20mg', frequency: 'once daily' }, { source: 'ai' });
+    manager.addMedication({ name: 'Amlodipine', dose: '5mg', frequency: 'once daily' }, { source: 'user' });
+
+    const result = manager.undo({ source: 'ai' });
+    assert.equal(result.success, false);
+    assert.match(result.error, /it was followed by "Added Amlodipine"/);
+});
+
+test('a new change clears the redo stack', async () => {
+    const manager = await createManager();
+    manager.addMedication({ name: 'Atorvastatin', dose: '20mg', frequency: 'once daily' });
+    manager.undo();
+    manager.addMedication({ name: 'Amlodipine', dose: '5mg', frequency: 'once daily' });
+
+    assert.equal(manager.getHistory().canRedo, false);
+});
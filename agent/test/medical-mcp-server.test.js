@@ -0,0 +1,122 @@
+// Medical MCP Server tests - clinician approval over MCP and the embed API
+
+import './helpers/browser-globals.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { MemoryStorageAdapter } from '../src/lib/storage-adapters.js';
+import { MedicalDataManager } from '../src/lib/medical-data.js';
+import { AuditLog } from '../src/lib/audit-log.js';
+import { MedicalMCPServer } from '../src/lib/medical-mcp-server.js';
+
+const latex = { allergen: 'Latex', reaction: 'Hives', severity: 'Mild' };
+
+async function createServer(auditOptions = {}) {
+    const dataStore = new MedicalDataManager({ storage: new MemoryStorageAdapter() });
+    await dataStore.ready;
+    const auditLog = new AuditLog({ storageKey: `audit_log_${Math.random()}`, ...auditOptions });
+    return { server: new MedicalMCPServer({ dataStore, auditLog }), dataStore, auditLog };
+}
+
+// MCP client connected to the server on the given channel
+async function connectClient(server, channel) {
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await server.connect(serverTransport, channel);
+    const client = new Client({ name: 'test-client', version: '1.0.0' });
+    await client.connect(clientTransport);
+    return client;
+}
+
+const hasLatex = dataStore => dataStore.patientData.allergies.some(allergy => allergy.allergen === 'Latex');
+
+test('refuses a write tool called over MCP without approval', async () => {
+    const { server, dataStore, auditLog } = await createServer();
+    const client = await connectClient(server, 'host');
+
+    const result = await client.callTool({ name: 'addAllergy', arguments: latex, _meta: { audit: { requestedBy: 'ehr' } } });
+
+    assert.equal(result.isError, true);
+    assert.match(result.structuredContent.error, /needs clinician approval/);
+    assert.equal(hasLatex(dataStore), false);
+    assert.equal(auditLog.getEntries()[0].approval, null);
+});
+
+test('ignores approval claimed by an MCP caller without a named approver', async () => {
+    const { server, dataStore } = await createServer();
+    const client = await connectClient(server, 'host');
+
+    const result = await client.callTool({ name: 'addAllergy', arguments: latex, _meta: { audit: { approval: 'approved' } } });
+
+    assert.equal(result.isError, true);
+    assert.equal(hasLatex(dataStore), false);
+});
+
+test('accepts a host MCP call that names its approver', async () => {
+    const { server, dataStore, auditLog } = await createServer();
+    const client = await connectClient(server, 'host');
+
+    const result = await client.callTool({ name: 'addAllergy', arguments: latex, _meta: { audit: { requestedBy: 'ehr', approvedBy: 'dr-smith' } } });
+
+    assert.equal(result.isError, false);
+    assert.equal(hasLatex(dataStore), true);
+    assert.equal(auditLog.getEntries()[0].approval, 'approved');
+    assert.equal(auditLog.getEntries()[0].approvedBy, 'dr-smith');
+});
+
+test('accepts the approval card decision from the chat connection', async () => {
+    const { server, dataStore, auditLog } = await createServer();
+    const client = await connectClient(server, 'agent');
+
+    const result = await client.callTool({ name: 'addAllergy', arguments: latex, _meta: { audit: { requestedBy: 'dr-smith', approval: 'approved' } } });
+
+    assert.equal(result.isError, false);
+    assert.equal(hasLatex(dataStore), true);
+    assert.equal(auditLog.getEntries()[0].approvedBy, 'dr-smith');
+});
+
+test('runs read-only tools without approval', async () => {
+    const { server } = await createServer();
+    const client = await connectClient(server, 'host');
+
+    const result = await client.callTool({ name: 'getContext', arguments: {} });
+
+    assert.equal(result.isError, false);
+});
+
+test('refuses an execute-tool request without an approver', async () => {
+    const { server, dataStore, auditLog } = await createServer();
+
+    await server.handleHostToolCall({ requestId: 'req-1', name: 'addAllergy', arguments: latex, approval: 'approved' });
+    await server.handleHostToolCall({ requestId: 'req-2', name: 'addAllergy', arguments: latex, approvedBy: '   ' });
+
+    assert.equal(hasLatex(dataStore), false);
+    assert.deepEqual(auditLog.getEntries().map(entry => entry.result.success), [false, false]);
+});
+
+test('runs an execute-tool request approved by a named clinician', async () => {
+    const { server, dataStore, auditLog } = await createServer();
+
+    await server.handleHostToolCall({ requestId: 'req-1', name: 'addAllergy', arguments: latex, approvedBy: 'dr-smith' });
+
+    const [entry] = auditLog.getEntries();
+    assert.equal(hasLatex(dataStore), true);
+    assert.equal(entry.channel, 'host');
+    assert.equal(entry.approvedBy, 'dr-smith');
+});
+
+test('reports an audit entry that could not be saved in the tool result', async () => {
+    const anchor = new MemoryStorageAdapter();
+    anchor.save = async () => {
+        throw new Error('PUT failed: 503 Service Unavailable');
+    };
+    const { server, dataStore } = await createServer({ anchor });
+    const client = await connectClient(server, 'host');
+
+    const result = await client.callTool({ name: 'addAllergy', arguments: latex, _meta: { audit: { approvedBy: 'dr-smith' } } });
+
+    assert.equal(result.isError, false);
+    assert.equal(hasLatex(dataStore), true);
+    assert.match(result.structuredContent.auditError, /Audit entry 1 was not saved \(anchor: PUT failed: 503/);
+    assert.match(result.structuredContent.message, /Audit entry 1 was not saved/);
+});
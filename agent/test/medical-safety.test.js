@@ -0,0 +1,65 @@
+// Medical Safety tests - maximum daily doses and duplicate therapy
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getIngredients, getDailyDoses, checkMedicationSafety, MAX_DAILY_DOSES } from '../src/lib/medical-safety.js';
+
+test('resolves combination products and strengths in the name', () => {
+    assert.deepEqual(getIngredients('Percocet'), [
+        { ingredient: 'oxycodone', mgPerUnit: 5 },
+        { ingredient: 'acetaminophen', mgPerUnit: 325 }
+    ]);
+    assert.deepEqual(getIngredients('Tylenol 500mg'), [{ ingredient: 'acetaminophen', mgPerUnit: 500 }]);
+    assert.deepEqual(getIngredients('Dolo 650').map(found => found.ingredient), ['acetaminophen']);
+});
+
+test('works out the daily dose from the sig', () => {
+    assert.deepEqual(getDailyDoses({ name: 'Acetaminophen', dose: '1000mg', frequency: 'q4h' }), [
+        { ingredient: 'acetaminophen', dailyDose: 6000 }
+    ]);
+    assert.deepEqual(getDailyDoses({ name: 'Acetaminophen', dose: '1000mg', frequency: 'q4h prn, max 3 g/day' }), [
+        { ingredient: 'acetaminophen', dailyDose: 3000 }
+    ]);
+    assert.deepEqual(getDailyDoses({ name: 'Acetaminophen', dose: '500mg', frequency: '' }), [
+        { ingredient: 'acetaminophen', dailyDose: null }
+    ]);
+});
+
+test('flags a dose above the maximum daily dose as major', () => {
+    const [warning] = checkMedicationSafety({ name: 'Acetaminophen', dose: '1000mg', frequency: 'q4h' });
+
+    assert.equal(warning.type, 'dose');
+    assert.equal(warning.severity, 'major');
+    assert.equal(warning.dailyDose, 6000);
+    assert.equal(warning.maxDailyDose, MAX_DAILY_DOSES.acetaminophen.max);
+});
+
+test('accepts a dose within limits', () => {
+    assert.deepEqual(checkMedicationSafety({ name: 'Acetaminophen', dose: '500mg', frequency: 'q6h' }), []);
+});
+
+test('adds up an ingredient across products and flags the duplicate', () => {
+    const warnings = checkMedicationSafety(
+        { name: 'Acetaminophen', dose: '650mg', frequency: 'q6h' },
+        [{ name: 'Percocet', dose: '1 tab', frequency: 'q6h' }]
+    );
+
+    assert.equal(warnings[0].type, 'duplicate');
+    assert.equal(warnings[0].severity, 'major');
+    assert.deepEqual(warnings[0].medications, ['Acetaminophen', 'Percocet']);
+
+    const total = warnings.find(warning => warning.type === 'dose');
+    assert.equal(total.dailyDose, 3900);
+    assert.equal(total.severity, 'moderate');
+});
+
+test('flags two members of a class that is not normally combined', () => {
+    const [warning] = checkMedicationSafety(
+        { name: 'Ibuprofen', dose: '400mg', frequency: 'TID' },
+        [{ name: 'Naproxen', dose: '500mg', frequency: 'BID' }]
+    );
+
+    assert.equal(warning.type, 'duplicate');
+    assert.equal(warning.severity, 'moderate');
+    assert.equal(warning.drugClass, 'NSAIDs');
+});
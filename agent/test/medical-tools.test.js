@@ -0,0 +1,45 @@
+// Medical Tools tests - argument validation and change previews
+
+import './helpers/browser-globals.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryStorageAdapter } from '../src/lib/storage-adapters.js';
+import { MedicalDataManager } from '../src/lib/medical-data.js';
+import { medicalToolRegistry } from '../src/lib/medical-tools.js';
+
+async function createContext() {
+    const dataStore = new MedicalDataManager({ storage: new MemoryStorageAdapter() });
+    await dataStore.ready;
+    return { dataStore };
+}
+
+test('updatePatientInfo does not take the patient identifiers', async () => {
+    const context = await createContext();
+
+    await assert.rejects(
+        medicalToolRegistry.execute('updatePatientInfo', { mrn: 'MRN-999' }, context, { source: 'ai' }),
+        /Provide at least one field to update/
+    );
+
+    const result = await medicalToolRegistry.execute('updatePatientInfo', { name: 'Jane Doe', mrn: 'MRN-999', patientId: 'PAT-999' }, context, { source: 'ai' });
+    assert.equal(result.success, true);
+    assert.equal(context.dataStore.patientData.patientInfo.name, 'Jane Doe');
+    assert.equal(context.dataStore.patientData.patientInfo.mrn, 'MRN123456');
+    assert.equal(context.dataStore.patientData.patientInfo.patientId, 'PAT-001');
+});
+
+test('previews a change from validated arguments', async () => {
+    const { dataStore } = await createContext();
+
+    const { before, after } = medicalToolRegistry.previewChange('resolveCondition', { conditionId: 'i10' }, dataStore.getContext());
+    assert.equal(before.name, 'Essential Hypertension');
+    assert.equal(after.status, 'resolved');
+});
+
+test('previews invalid arguments as given instead of throwing', async () => {
+    const { dataStore } = await createContext();
+
+    assert.deepEqual(medicalToolRegistry.previewChange('resolveCondition', {}, dataStore.getContext()), { before: null, after: {} });
+    assert.deepEqual(medicalToolRegistry.previewChange('resolveCondition', { conditionId: 42 }, dataStore.getContext()), { before: null, after: { conditionId: 42 } });
+    assert.deepEqual(medicalToolRegistry.previewChange('editMedication', { medId: 7, updates: {} }, dataStore.getContext()).before, null);
+});
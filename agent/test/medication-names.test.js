@@ -0,0 +1,30 @@
+// Medication Names tests - brand and regional names to canonical generics
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toGenericName, withGenericName, sameMedication, findMedicationMentions } from '../src/lib/medication-names.js';
+
+test('resolves brand and regional names to their generic', () => {
+    assert.equal(toGenericName('Dolo 650'), 'acetaminophen');
+    assert.equal(toGenericName('Tylenol'), 'acetaminophen');
+    assert.equal(toGenericName('Metformin'), 'metformin');
+    assert.equal(withGenericName('Dolo 650'), 'dolo 650 acetaminophen');
+});
+
+test('does not resolve combination products to a single generic', () => {
+    assert.equal(toGenericName('Tylenol PM'), null);
+    assert.equal(toGenericName('Tylenol with Codeine'), null);
+});
+
+test('compares medications by generic', () => {
+    assert.equal(sameMedication('Crocin', 'Acetaminophen'), true);
+    assert.equal(sameMedication('Advil', 'Tylenol'), false);
+    assert.equal(sameMedication('', 'Tylenol'), false);
+});
+
+test('finds medication mentions in free text', () => {
+    assert.deepEqual(findMedicationMentions('Patient takes Dolo 650 and advil daily'), [
+        { term: 'Dolo', generic: 'acetaminophen', index: 14 },
+        { term: 'advil', generic: 'ibuprofen', index: 27 }
+    ]);
+});
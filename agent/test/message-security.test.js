@@ -0,0 +1,86 @@
+// Message Security tests - the trusted origin allowlist and who may send messages to the iframe
+
+import './helpers/browser-globals.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getTrustedOrigins, acceptIframeMessage } from '../src/lib/message-security.js';
+import { PROTOCOL_VERSION } from '../src/lib/embed-protocol.js';
+
+const EHR_ORIGIN = 'https://ehr.example.com';
+const show = { type: 'show', version: PROTOCOL_VERSION };
+
+// Run fn with the iframe embedded in a parent page that records what is posted to it
+function embedded(fn) {
+    const posted = [];
+    window.parent = { postMessage: (message, origin) => posted.push({ message, origin }) };
+    try {
+        return fn(posted);
+    } finally {
+        window.parent = window;
+    }
+}
+
+test('trusts only the iframe origin by default', () => {
+    assert.deepEqual(getTrustedOrigins(), ['http://localhost']);
+});
+
+test('ignores origins stored in localStorage', () => {
+    localStorage.setItem('ozwell_trusted_origins', 'https://attacker.example.com');
+    try {
+        assert.deepEqual(getTrustedOrigins(), ['http://localhost']);
+    } finally {
+        localStorage.removeItem('ozwell_trusted_origins');
+    }
+});
+
+test('trusts origins set in window.OZWELL_TRUSTED_ORIGINS before load', () => {
+    window.OZWELL_TRUSTED_ORIGINS = [`${EHR_ORIGIN}/`, 'not a url'];
+    try {
+        assert.deepEqual(getTrustedOrigins(), ['http://localhost', EHR_ORIGIN]);
+    } finally {
+        delete window.OZWELL_TRUSTED_ORIGINS;
+    }
+});
+
+test('accepts internal messages from this window only', () => {
+    const message = { type: 'mcp-get-tools', version: PROTOCOL_VERSION };
+
+    assert.equal(acceptIframeMessage({ source: window, origin: 'http://localhost', data: message }), true);
+    assert.equal(acceptIframeMessage({ source: window, origin: EHR_ORIGIN, data: message }), false);
+});
+
+test('accepts host messages from the parent page on a trusted origin', () => {
+    embedded(() => {
+        assert.equal(acceptIframeMessage({ source: window.parent, origin: EHR_ORIGIN, data: show }, [EHR_ORIGIN]), true);
+    });
+});
+
+test('rejects host messages from an untrusted origin without answering', () => {
+    embedded(posted => {
+        assert.equal(acceptIframeMessage({ source: window.parent, origin: 'https://attacker.example.com', data: show }, [EHR_ORIGIN]), false);
+        assert.deepEqual(posted, []);
+    });
+});
+
+test('rejects messages from a window that is neither this one nor the parent', () => {
+    embedded(() => {
+        assert.equal(acceptIframeMessage({ source: {}, origin: EHR_ORIGIN, data: show }, [EHR_ORIGIN]), false);
+    });
+});
+
+test('answers an invalid message from a trusted host with an error frame', () => {
+    embedded(posted => {
+        const data = { type: 'execute-tool', version: PROTOCOL_VERSION, requestId: 'req-1' };
+        assert.equal(acceptIframeMessage({ source: window.parent, origin: EHR_ORIGIN, data }, [EHR_ORIGIN]), false);
+
+        assert.equal(posted.length, 1);
+        assert.equal(posted[0].origin, EHR_ORIGIN);
+        assert.equal(posted[0].message.type, 'error');
+        assert.equal(posted[0].message.requestId, 'req-1');
+        assert.equal(posted[0].message.code, 'invalid-message');
+    });
+});
+
+test('rejects host-only messages sent from inside the iframe window', () => {
+    assert.equal(acceptIframeMessage({ source: window, origin: 'http://localhost', data: show }), false);
+});
@@ -0,0 +1,122 @@
+// Patient Registry tests - one chart per patient, identifier reconciliation and patient scoping
+
+import './helpers/browser-globals.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryStorageAdapter } from '../src/lib/storage-adapters.js';
+import { MedicalDataManager } from '../src/lib/medical-data.js';
+import { PatientRegistry, DEMO_PATIENT_ID } from '../src/lib/patient-registry.js';
+import { AuditLog } from '../src/lib/audit-log.js';
+import { MedicalMCPServer } from '../src/lib/medical-mcp-server.js';
+
+async function createRegistry(storage = new MemoryStorageAdapter()) {
+    const registry = new PatientRegistry({ defaultStore: new MedicalDataManager({ storage }) });
+    await registry.ready;
+    return registry;
+}
+
+const medicationNames = store => store.patientData.medications.map(medication => medication.name);
+
+test('starts on the demo chart under a reserved key', async () => {
+    const registry = await createRegistry();
+
+    assert.equal(registry.getActivePatientId(), DEMO_PATIENT_ID);
+    const result = await registry.setActivePatient(DEMO_PATIENT_ID);
+    assert.equal(result.success, false);
+    assert.match(result.error, /reserved/);
+});
+
+test('never opens the demo chart for a host patient with the demo identifiers', async () => {
+    const registry = await createRegistry();
+    const demo = registry.getActive();
+
+    const byId = await registry.setActivePatient({ patientId: 'PAT-001', name: 'Real Patient' });
+    assert.equal(byId.created, true);
+    assert.notEqual(registry.getActive(), demo);
+    assert.deepEqual(medicationNames(registry.getActive()), []);
+
+    const byMrn = await registry.setActivePatient({ mrn: 'MRN123456' });
+    assert.equal(byMrn.created, true);
+    assert.notEqual(registry.getActive(), demo);
+
+    assert.equal(demo.patientData.patientInfo.name, 'Demo Patient');
+    assert.deepEqual(medicationNames(demo), ['Lisinopril', 'Metformin']);
+});
+
+test('keeps one chart for a patient selected by MRN, then by patientId', async () => {
+    const registry = await createRegistry();
+
+    const first = await registry.setActivePatient({ mrn: 'MRN-7' });
+    const both = await registry.setActivePatient({ patientId: 'P-7', mrn: 'MRN-7' });
+    const byId = await registry.setActivePatient('P-7');
+
+    assert.equal(both.patientId, first.patientId);
+    assert.equal(byId.patientId, first.patientId);
+    assert.equal(byId.created, false);
+});
+
+test('keeps one chart for a patient selected by patientId, then by MRN', async () => {
+    const storage = new MemoryStorageAdapter();
+    const registry = await createRegistry(storage);
+    const first = await registry.setActivePatient({ patientId: 'P-8', mrn: 'MRN-8' });
+
+    // Also after a reload, through the stored patient index
+    const reloaded = await createRegistry(storage);
+    const byMrn = await reloaded.setActivePatient({ mrn: 'MRN-8' });
+
+    assert.equal(byMrn.patientId, first.patientId);
+    assert.equal(byMrn.created, false);
+});
+
+test('refuses identifiers that belong to different charts', async () => {
+    const registry = await createRegistry();
+    await registry.setActivePatient({ patientId: 'P-1', mrn: 'MRN-1' });
+    await registry.setActivePatient({ patientId: 'P-2', mrn: 'MRN-2' });
+
+    const mixed = await registry.setActivePatient({ patientId: 'P-1', mrn: 'MRN-2' });
+    assert.equal(mixed.success, false);
+    assert.equal(registry.getActivePatientId(), 'P-2');
+
+    const keyTaken = await registry.setActivePatient({ mrn: 'P-1' });
+    assert.equal(keyTaken.success, false);
+});
+
+test('does not let demographics change the identifiers', async () => {
+    const registry = await createRegistry();
+    await registry.setActivePatient({ patientId: 'P-9', mrn: 'MRN-9', name: 'Ana Silva' });
+    const store = registry.getActive();
+
+    const renamed = store.updatePatientInfo({ name: 'Ana M. Silva', mrn: 'MRN-9' });
+    assert.equal(renamed.success, true);
+
+    const result = store.updatePatientInfo({ mrn: 'MRN-10' });
+    assert.equal(result.success, false);
+    assert.match(result.error, /mrn cannot be changed/);
+    assert.equal(store.updatePatientInfo({ patientId: 'P-10' }).success, false);
+    assert.equal(store.patientData.patientInfo.mrn, 'MRN-9');
+    assert.equal((await registry.setActivePatient({ mrn: 'MRN-9' })).patientId, 'P-9');
+});
+
+test('does not share chart data between patients', async () => {
+    const registry = await createRegistry();
+    await registry.setActivePatient('P-1');
+    registry.getActive().addMedication({ name: 'Atorvastatin', dose: '20mg', frequency: 'once daily' });
+
+    await registry.setActivePatient('P-2');
+    assert.deepEqual(medicationNames(registry.getActive()), []);
+    assert.deepEqual(registry.getActive().getHistory().changes, []);
+});
+
+test('refuses a tool call made for a patient that is no longer active', async () => {
+    const registry = await createRegistry();
+    const server = new MedicalMCPServer({ patients: registry, auditLog: new AuditLog({ storageKey: 'audit_log_scoping' }) });
+    await registry.setActivePatient('P-1');
+    await registry.setActivePatient('P-2');
+
+    const result = await server.executeTool('addAllergy', { allergen: 'Latex' }, { patientId: 'P-1', approval: 'approved' });
+
+    assert.equal(result.success, false);
+    assert.match(result.error, /made for patient P-1, but the active patient is now P-2/);
+    assert.equal(registry.get('P-1').patientData.allergies.length, 0);
+    assert.equal(registry.get('P-2').patientData.allergies.length, 0);
+});
@@ -0,0 +1,51 @@
+// Sig Parser tests - free-text dose and frequency to structured sigs
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSig, formatSig } from '../src/lib/sig-parser.js';
+
+test('parses an interval with a PRN reason', () => {
+    const sig = parseSig('650mg', 'q6h prn pain');
+
+    assert.equal(sig.amount, 650);
+    assert.equal(sig.unit, 'mg');
+    assert.deepEqual(sig.interval, { hours: 6, maxHours: null });
+    assert.equal(sig.timesPerDay, 4);
+    assert.equal(sig.prn, true);
+    assert.equal(sig.prnReason, 'pain');
+    assert.equal(sig.parsed, true);
+});
+
+test('uses the shortest interval of a range and keeps the explicit daily cap', () => {
+    const sig = parseSig('1-2 tabs', 'every 6-8 hours as needed, max 8 tabs/day');
+
+    assert.equal(sig.amount, 1);
+    assert.equal(sig.amountMax, 2);
+    assert.equal(sig.unit, 'tablet');
+    assert.equal(sig.route, 'oral');
+    assert.deepEqual(sig.interval, { hours: 6, maxHours: 8 });
+    assert.equal(sig.timesPerDay, 4);
+    assert.deepEqual(sig.maxDailyDose, { value: 8, unit: 'tablet' });
+});
+
+test('reads the strength per tablet and named frequencies', () => {
+    const sig = parseSig('500mg 1 tab', 'BID');
+
+    assert.equal(sig.amount, 1);
+    assert.equal(sig.unit, 'tablet');
+    assert.deepEqual(sig.strength, { value: 500, unit: 'mg' });
+    assert.equal(sig.timesPerDay, 2);
+    assert.equal(parseSig('10mg', 'once daily').timesPerDay, 1);
+    assert.equal(parseSig('1 tab', '3 times a day').timesPerDay, 3);
+});
+
+test('is not parsed without a frequency', () => {
+    assert.equal(parseSig('5mg', '').parsed, false);
+    assert.equal(parseSig().parsed, false);
+});
+
+test('formats a parsed sig and falls back to the original text', () => {
+    assert.equal(formatSig(parseSig('650mg', 'q6h prn pain')), '650 mg q6h PRN pain');
+    assert.equal(formatSig(parseSig('500mg 1 tab', 'BID')), '1 tablet (500 mg) oral 2x/day');
+    assert.equal(formatSig(parseSig('5mg', '')), '5mg');
+});
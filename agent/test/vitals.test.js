@@ -0,0 +1,53 @@
+// Vitals tests - observations, migration and trends
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseBloodPressure, createObservations, normalizeVitals, getRange, getLatest, getTrend, summarizeTrends } from '../src/lib/vitals.js';
+
+const bloodPressure = (value, recordedAt) => createObservations({ bloodPressure: value }, { recordedAt })[0];
+
+const series = [
+    bloodPressure('120/80', '2024-01-01T00:00:00.000Z'),
+    bloodPressure('140/90', '2024-03-01T00:00:00.000Z'),
+    bloodPressure('130/85', '2024-02-01T00:00:00.000Z')
+];
+
+test('parses blood pressure text and rejects anything else', () => {
+    assert.deepEqual(parseBloodPressure('120/80'), { systolic: 120, diastolic: 80 });
+    assert.deepEqual(parseBloodPressure({ systolic: '118', diastolic: '76' }), { systolic: 118, diastolic: 76 });
+    assert.throws(() => parseBloodPressure('high'), /Invalid blood pressure/);
+});
+
+test('creates one observation per vital with default units', () => {
+    const observations = createObservations({ bloodPressure: '130/85', heartRate: 72 }, { recordedAt: '2024-07-01T00:00:00.000Z' });
+
+    assert.deepEqual(observations.map(observation => [observation.type, observation.unit]), [['bloodPressure', 'mmHg'], ['heartRate', 'bpm']]);
+    assert.equal(observations[1].value, 72);
+    assert.throws(() => createObservations({}), /No vital signs given/);
+});
+
+test('migrates the old snapshot shape', () => {
+    const observations = normalizeVitals({ bloodPressure: '120/80', heartRate: '70', lastRecorded: '2024-01-01' });
+
+    assert.equal(observations.length, 2);
+    assert.equal(observations[0].source, 'migrated');
+    assert.equal(observations[0].recordedAt, '2024-01-01T00:00:00.000Z');
+    assert.deepEqual(normalizeVitals(null), []);
+});
+
+test('queries by range and latest reading', () => {
+    assert.deepEqual(getRange(series, 'bloodPressure', '2024-01-15', '2024-02-15').map(observation => observation.value.systolic), [130]);
+    assert.deepEqual(getLatest(series).bloodPressure.value, { systolic: 140, diastolic: 90 });
+});
+
+test('computes the trend oldest to newest', () => {
+    const trend = getTrend(series, 'bloodPressure');
+
+    assert.equal(trend.readings, 3);
+    assert.equal(trend.first, '120/80');
+    assert.equal(trend.last, '140/90');
+    assert.equal(trend.change, 20);
+    assert.equal(trend.direction, 'rising');
+    assert.equal(getTrend(series.slice(0, 1), 'bloodPressure'), null);
+    assert.equal(summarizeTrends(series), 'BP 120/80 → 140/90 mmHg (rising over 3 readings since 2024-01-01)');
+});